@@ -1,23 +1,383 @@
 // config.js
 
 const CONFIG = {
-    // Asset definitions for canonical resolution
-    ASSET_CLASSES: {
-        BTC: ["btc", "wbtc", "cbbtc", "kbtc", "tbtc", "ebtc", "renbtc", "sbtc", "hbtc"],
-        ETH: ["eth", "weth", "eeth", "steth", "wsteth", "reth", "cbeth", "seth", "meth"],
-        STABLE: ["usdc", "usdt", "dai", "usdbc", "frax", "lusd", "usds", "crvusd", "tusd", "busd", "gusd", "usdp", "usdd"]
+    // Asset taxonomy: class -> sub-class -> token, each token with its risk tags.
+    // Tags: custodial, bridged, synthetic, lst, lrt, yield-bearing
+    ASSET_TAXONOMY: {
+        BTC: {
+            native: { label: "Native", tokens: { btc: [] } },
+            custodial: { label: "Custodial wrapper", tokens: { wbtc: ["custodial"], cbbtc: ["custodial"], hbtc: ["custodial"] } },
+            bridged: { label: "Bridged", tokens: { tbtc: ["bridged"], renbtc: ["bridged"], kbtc: ["bridged"], sbtc: ["synthetic"] } },
+            staking: { label: "Staking derivative", tokens: { lbtc: ["lst", "yield-bearing"], solvbtc: ["lst", "yield-bearing", "custodial"], ebtc: ["lrt", "yield-bearing"] } }
+        },
+        ETH: {
+            native: { label: "Native", tokens: { eth: [], weth: [] } },
+            lst: { label: "Liquid staking", tokens: { steth: ["lst", "yield-bearing"], wsteth: ["lst", "yield-bearing"], reth: ["lst", "yield-bearing"], cbeth: ["lst", "yield-bearing", "custodial"], meth: ["lst", "yield-bearing"] } },
+            lrt: { label: "Liquid restaking", tokens: { eeth: ["lrt", "yield-bearing"], weeth: ["lrt", "yield-bearing"], ezeth: ["lrt", "yield-bearing"], rseth: ["lrt", "yield-bearing"] } },
+            synthetic: { label: "Synthetic", tokens: { seth: ["synthetic"] } }
+        },
+        STABLE: {
+            fiat: { label: "Fiat-backed", tokens: { usdc: ["custodial"], usdt: ["custodial"], tusd: ["custodial"], busd: ["custodial"], gusd: ["custodial"], usdp: ["custodial"] } },
+            bridged: { label: "Bridged", tokens: { "usdc.e": ["custodial", "bridged"], usdbc: ["custodial", "bridged"] } },
+            crypto: { label: "Crypto-backed", tokens: { dai: [], usds: [], lusd: [], crvusd: [], frax: [], usdd: [], usdb: ["yield-bearing"] } }
+        }
+    },
+
+    // Pair categories, one dashboard section each. A pool belongs to the first
+    // category with a matching rule. A rule matches when its two token matchers
+    // match the pool's tokens in either order; the first matcher is the base.
+    // Matchers may set assetClass, subClass and tag (string or array).
+    // A pool of two identical tokens never matches.
+    PAIR_CATEGORIES: [
+        {
+            id: "btc-stable",
+            label: "BTC / Stablecoin",
+            color: "#cc7a15",
+            rules: [{ tokens: [{ assetClass: "BTC" }, { assetClass: "STABLE" }] }]
+        },
+        {
+            id: "eth-stable",
+            label: "ETH / Stablecoin",
+            color: "#627eea",
+            rules: [{ tokens: [{ assetClass: "ETH" }, { assetClass: "STABLE" }] }]
+        },
+        {
+            id: "btc-eth",
+            label: "BTC / ETH",
+            color: "#b5651d",
+            rules: [{ tokens: [{ assetClass: "BTC" }, { assetClass: "ETH" }] }]
+        },
+        {
+            id: "eth-lst",
+            label: "ETH / LST",
+            color: "#3fb9a0",
+            pegMonitor: true,
+            rules: [{ tokens: [{ assetClass: "ETH", subClass: "native" }, { assetClass: "ETH", subClass: ["lst", "lrt"] }] }]
+        },
+        {
+            id: "btc-lst",
+            label: "BTC / LST",
+            color: "#d4a72c",
+            pegMonitor: true,
+            rules: [{ tokens: [{ assetClass: "BTC", subClass: ["native", "custodial", "bridged"] }, { assetClass: "BTC", subClass: "staking" }] }]
+        },
+        {
+            id: "wrapped",
+            label: "Wrapped Assets",
+            color: "#cc5500",
+            pegMonitor: true,
+            rules: [
+                { tokens: [{ assetClass: "BTC" }, { assetClass: "BTC" }] },
+                { tokens: [{ assetClass: "ETH" }, { assetClass: "ETH" }] }
+            ]
+        },
+        {
+            id: "stable-stable",
+            label: "Stable / Stable",
+            color: "#3fb950",
+            enabled: false,
+            rules: [{ tokens: [{ assetClass: "STABLE" }, { assetClass: "STABLE" }] }]
+        }
+    ],
+
+    // Composite score used to rank pools within a section (0-100). Weights are
+    // relative and can be changed from the UI; turnover, liquidity and APR are
+    // normalised across each section on a log scale.
+    SCORING: {
+        WEIGHTS: {
+            turnover: 0.35,
+            liquidity: 0.25,
+            apr: 0.2,
+            chainConfidence: 0.1,
+            sourceAgreement: 0.1
+        },
+        // Component value for HIGH_ / MEDIUM_CONFIDENCE_CHAINS and any other chain
+        CHAIN_CONFIDENCE: { high: 1, medium: 0.7, other: 0.3 },
+        // Component value for pools only one source reports
+        SINGLE_SOURCE_AGREEMENT: 0.5
+    },
+
+    // Wash-trading and anomaly detection. Each check adds points to a 0-100
+    // suspicion score; pools at or above FLAG_THRESHOLD are flagged.
+    ANOMALY_DETECTION: {
+        FLAG_THRESHOLD: 50,
+        MAX_TURNOVER: 50,                   // 24h turnover above this is implausible for organic flow
+        SECTION_OUTLIER_MULTIPLE: 10,       // turnover vs the section median
+        MIN_TRANSACTIONS_24H: 100,          // fewer swaps than this behind high turnover
+        MAX_AVG_TRADE_TO_LIQUIDITY: 0.02,   // average swap above 2% of liquidity
+        MIN_UNIQUE_TRADERS_24H: 20,         // buyers + sellers, where the source reports them
+        MAX_FLOW_IMBALANCE: 0.9,            // |buys - sells| / (buys + sells)
+        HIDE_FLAGGED: false                 // initial state of the "hide suspicious pools" toggle
+    },
+
+    // Price impact estimate for the trade size entered in the filter bar
+    PRICE_IMPACT: {
+        DEFAULT_TRADE_SIZE_USD: 100000,
+        // StableSwap pools of correlated tokens are treated as a constant-product
+        // pool this many times deeper (Curve's A is typically 50-2000)
+        STABLESWAP_AMPLIFICATION: 100
+    },
+
+    // Defaults for the LP position simulator
+    LP_SIMULATOR: {
+        DEFAULT_DEPOSIT_USD: 10000,
+        DEFAULT_DAYS: 30,
+        DEFAULT_SCENARIOS: [-50, -25, -10, 0, 10, 25, 50]   // price moves (%) of the base token
+    },
+
+    // Trend column: changes since the previous refresh
+    TRENDS: {
+        SPARKLINE_POINTS: 12    // recent refreshes shown in the turnover sparkline
+    },
+
+    // Refresh snapshots stored in IndexedDB for the per-pool charts
+    SNAPSHOTS: {
+        ENABLED: true,
+        DB_NAME: "defidash-snapshots",
+        RETENTION_DAYS: 14,
+        MAX_RECORDS: 100000,        // pool rows kept across all snapshots
+        MIN_INTERVAL_MS: 300000     // background re-renders closer than this are not stored
+    },
+
+    // Pinned pools, stored in localStorage by chain and pool address
+    WATCHLIST: {
+        STORAGE_KEY: "defidash-watchlist"
+    },
+
+    // Alert rules, stored in localStorage and checked after every refresh
+    ALERTS: {
+        STORAGE_KEY: "defidash-alert-rules",
+        DEFAULT_COOLDOWN_MINUTES: 60,   // a rule does not fire again within this time
+        MIN_COOLDOWN_MINUTES: 15,       // shortest cooldown a rule can have (one auto-refresh)
+        MAX_LOG_ENTRIES: 50
+    },
+
+    // Peg monitoring for categories with pegMonitor: true
+    PEG_MONITOR: {
+        // Deviation from the expected rate that counts as a depeg
+        DEPEG_THRESHOLD_BPS: 50,
+        // Units of underlying per token. Tokens not listed are expected at 1:1,
+        // except yield-bearing ones, which are only monitored once a rate is set.
+        // Non-rebasing wrappers accrue value over time; update these periodically.
+        REDEMPTION_RATES: {
+            steth: 1,
+            eeth: 1,
+            wsteth: 1.21,
+            reth: 1.14,
+            weeth: 1.07,
+            cbeth: 1.11,
+            lbtc: 1,
+            solvbtc: 1,
+            ebtc: 1
+        }
+    },
+
+    // DEX protocols and their fee model. Source dex ids (GeckoTerminal
+    // relationships.dex, DexScreener dexId + labels) are matched against
+    // `aliases`; case, "-" and "_" are ignored and chain suffixes fall back,
+    // so "uniswap-v3-arbitrum" matches "uniswap_v3".
+    //   amm        - AMM design: constant-product, concentrated, stableswap or weighted;
+    //                or { correlated, uncorrelated } when it depends on the pool kind
+    //   tiers      - fee tiers (%) the protocol offers; reported fees outside them are ignored
+    //   fee        - the fee (%) when the protocol has a single fixed fee
+    //   poolFees   - fee (%) by pool kind: correlated (same asset class) or uncorrelated pairs
+    //   typicalFee - estimate (%) for protocols whose fees are set per pool
+    //   dynamic    - fees change per swap or per pool, so any single figure is an estimate
+    DEX_PROTOCOLS: {
+        "uniswap-v2": { label: "Uniswap v2", aliases: ["uniswap_v2"], amm: "constant-product", fee: 0.3 },
+        "uniswap-v3": { label: "Uniswap v3", aliases: ["uniswap_v3"], amm: "concentrated", tiers: [0.01, 0.05, 0.3, 1] },
+        "uniswap-v4": { label: "Uniswap v4", aliases: ["uniswap_v4"], amm: "concentrated", tiers: [0.01, 0.05, 0.3, 1], dynamic: true },
+        "sushiswap-v2": { label: "SushiSwap", aliases: ["sushiswap", "sushiswap_v2"], amm: "constant-product", fee: 0.3 },
+        "sushiswap-v3": { label: "SushiSwap v3", aliases: ["sushiswap_v3"], amm: "concentrated", tiers: [0.01, 0.05, 0.3, 1] },
+        "pancakeswap-v2": { label: "PancakeSwap v2", aliases: ["pancakeswap_v2"], amm: "constant-product", fee: 0.25 },
+        "pancakeswap-v3": { label: "PancakeSwap v3", aliases: ["pancakeswap_v3"], amm: "concentrated", tiers: [0.01, 0.05, 0.25, 1] },
+        "curve": { label: "Curve", aliases: ["curve"], amm: "stableswap", dynamic: true, poolFees: { correlated: 0.04, uncorrelated: 0.3 } },
+        "balancer": { label: "Balancer", aliases: ["balancer", "balancer_v2", "balancer_v3"], amm: "weighted", dynamic: true, typicalFee: 0.1 },
+        "aerodrome": { label: "Aerodrome", aliases: ["aerodrome", "aerodrome_v2"], amm: { correlated: "stableswap", uncorrelated: "constant-product" }, poolFees: { correlated: 0.05, uncorrelated: 0.3 } },
+        "aerodrome-slipstream": { label: "Aerodrome Slipstream", aliases: ["aerodrome_slipstream", "aerodrome_v3", "aerodrome_cl"], amm: "concentrated", tiers: [0.01, 0.05, 0.3, 1], dynamic: true },
+        "velodrome": { label: "Velodrome", aliases: ["velodrome", "velodrome_v2", "velodrome_finance_v2"], amm: { correlated: "stableswap", uncorrelated: "constant-product" }, poolFees: { correlated: 0.05, uncorrelated: 0.3 } },
+        "velodrome-slipstream": { label: "Velodrome Slipstream", aliases: ["velodrome_slipstream", "velodrome_v3", "velodrome_cl"], amm: "concentrated", tiers: [0.01, 0.05, 0.3, 1], dynamic: true },
+        "camelot-v2": { label: "Camelot", aliases: ["camelot", "camelot_v2"], amm: "constant-product", dynamic: true, typicalFee: 0.3 },
+        "camelot-v3": { label: "Camelot v3", aliases: ["camelot_v3"], amm: "concentrated", dynamic: true },
+        "trader-joe-lb": { label: "Trader Joe LB", aliases: ["traderjoe_v2", "traderjoe_v2_1", "traderjoe_v2_2", "joe_v2_1"], amm: "concentrated", dynamic: true },
+        "maverick": { label: "Maverick", aliases: ["maverick", "maverick_v2"], amm: "concentrated", dynamic: true },
+        "fluid": { label: "Fluid DEX", aliases: ["fluid", "fluid_dex"], amm: "concentrated", dynamic: true },
+        "raydium": { label: "Raydium", aliases: ["raydium", "raydium_amm", "raydium_cpmm"], amm: "constant-product", fee: 0.25 },
+        "raydium-clmm": { label: "Raydium CLMM", aliases: ["raydium_clmm"], amm: "concentrated", tiers: [0.01, 0.02, 0.05, 0.25, 1] },
+        "orca": { label: "Orca Whirlpools", aliases: ["orca", "orca_whirlpools"], amm: "concentrated", tiers: [0.01, 0.02, 0.05, 0.3, 1] }
+    },
+
+    // Canonical token contracts per chain, keyed by ASSET_TAXONOMY token.
+    // Tokens resolved by address are "verified"; anything else falls back
+    // to exact symbol matching and is labelled "unverified".
+    CANONICAL_TOKENS: {
+        ethereum: {
+            weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+            steth: "0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84",
+            wsteth: "0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0",
+            reth: "0xae78736Cd615f374D3085123A210448E74Fc6393",
+            cbeth: "0xBe9895146f7AF43049ca1c1AE358B0541Ea49704",
+            eeth: "0x35fA164735182de50811E8e2E824cFb9B6118ac2",
+            meth: "0xd5F7838F5C461fEFF7FE49ea5ebaF7728bB0ADfa",
+            weeth: "0xCd5fE23C85820F7B72D0926FC9b05b43E359b7ee",
+            ezeth: "0xbf5495Efe5DB9ce00f80364C8B423567e58d2110",
+            rseth: "0xA1290d69c65A6Fe4DF752f95823fae25cB99e5A7",
+            wbtc: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599",
+            cbbtc: "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf",
+            tbtc: "0x18084fbA666a33d37592fA2633fD49a74DD93a88",
+            ebtc: "0x657e8C867D8B37dCC18fA4Caead9C45EB088C642",
+            renbtc: "0xEB4C2781e4ebA804CE9a9803C67d0893436bB27D",
+            hbtc: "0x0316EB71485b0Ab14103307bf65a021042c6d380",
+            lbtc: "0x8236a87084f8B84306f72007F36F2618A5634494",
+            solvbtc: "0x7A56E1C57C7475CCf742a1832B028F0456652F97",
+            usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+            usdt: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
+            dai: "0x6B175474E89094C44Da98b954EedeAC495271d0F",
+            frax: "0x853d955aCEf822Db058eb8505911ED77F175b99e",
+            lusd: "0x5f98805A4E8be255a32880FDeC7F6728C6568bA0",
+            usds: "0xdC035D45d973E3EC169d2276DDab16f1e407384F",
+            crvusd: "0xf939E0A03FB07F59A73314E73794Be0E57ac1b4E",
+            tusd: "0x0000000000085d4780B73119b644AE5ecd22b376",
+            busd: "0x4Fabb145d64652a948d72533023f6E7A623C7C53",
+            gusd: "0x056Fd409E1d7A124BD7017459dFEa2F387b6d5Cd",
+            usdp: "0x8E870D67F660D95d5be530380D0eC0bd388289E1"
+        },
+        arbitrum: {
+            weth: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+            wsteth: "0x5979D7b546E38E414F7E9822514be443A4800529",
+            reth: "0xEC70Dcb4A1EFa46b8F2D97C310C9c4790ba5ffA8",
+            weeth: "0x35751007a407ca6FEFfE80b3cB397736D2cf4dbe",
+            wbtc: "0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f",
+            cbbtc: "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf",
+            tbtc: "0x6c84a8f1c29108F47a79964b5Fe888D4f4D0dE40",
+            usdc: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+            "usdc.e": "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8",
+            usdt: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9",
+            dai: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1"
+        },
+        optimism: {
+            weth: "0x4200000000000000000000000000000000000006",
+            wsteth: "0x1F32b1c2345538c0c6f582fCB022739c4A194Ebb",
+            reth: "0x9Bcef72be871e61ED4fBbc7630889beE758eb81D",
+            wbtc: "0x68f180fcCe6836688e9084f035309E29Bf0A2095",
+            tbtc: "0x6c84a8f1c29108F47a79964b5Fe888D4f4D0dE40",
+            usdc: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+            "usdc.e": "0x7F5c764cBc14f9669B88837ca1490cCa17c31607",
+            usdt: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58",
+            dai: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1"
+        },
+        base: {
+            weth: "0x4200000000000000000000000000000000000006",
+            wsteth: "0xc1CBa3fCea344f92D9239c08C0568f6F2F0ee452",
+            cbeth: "0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22",
+            reth: "0xB6fe221Fe9EeF5aBa221c348bA20A1Bf5e73624c",
+            weeth: "0x04C0599Ae5A44757c0af6F9eC3b93da8976c150A",
+            cbbtc: "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf",
+            usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+            usdbc: "0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA",
+            usdt: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2",
+            dai: "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb"
+        },
+        polygon: {
+            weth: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",
+            wsteth: "0x03b54A6e9a984069379fae1a4fC4dBAE93B3bCCD",
+            wbtc: "0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6",
+            usdc: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+            "usdc.e": "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
+            usdt: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F",
+            dai: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"
+        },
+        zksync: {
+            weth: "0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91",
+            "usdc.e": "0x3355df6D4c9C3035724Fd0e3914dE96A5a83aaf4"
+        },
+        linea: {
+            weth: "0xe5D7C2a44FfDDf6b295A15c148167daaAf5Cf34f",
+            usdc: "0x176211869cA2b568f2A7D4EE941E073a821EE1ff"
+        },
+        scroll: {
+            weth: "0x5300000000000000000000000000000000000004",
+            usdc: "0x06eFdBFf2a14a7c8E15944D1F4A48F9F95F663A4"
+        },
+        blast: {
+            weth: "0x4300000000000000000000000000000000000004",
+            usdb: "0x4300000000000000000000000000000000000003"
+        }
+    },
+
+    // Token identity options
+    TOKEN_IDENTITY: {
+        // Drop tokens that reuse a registered symbol on a chain but not its address
+        REJECT_IMPOSTORS: true,
+        // Initial state of the "include unverified tokens" toggle
+        SHOW_UNVERIFIED: true
     },
 
     // Data fetching and filtering thresholds
     MIN_LIQUIDITY: 100000,      // $100k minimum liquidity
     MIN_VOLUME_24H: 10000,      // $10k minimum 24h volume
     
+    // Volume windows offered by the window selector. Short windows are scaled
+    // to a daily equivalent so turnover and APR stay comparable across windows.
+    // Windows with `history` are daily averages over that many days of OHLCV data.
+    VOLUME_WINDOWS: {
+        m5: { label: "5m", hours: 5 / 60 },
+        h1: { label: "1h", hours: 1 },
+        h6: { label: "6h", hours: 6 },
+        h24: { label: "24h", hours: 24 },
+        d7: { label: "7d avg", hours: 24, history: 7 },
+        d30: { label: "30d avg", hours: 24, history: 30 }
+    },
+    DEFAULT_VOLUME_WINDOW: "h24",
+
+    // Daily OHLCV history from GeckoTerminal for the 7d / 30d windows.
+    // Loaded in the background for valid pools, most liquid first.
+    POOL_HISTORY: {
+        ENABLED: true,
+        DAYS: 30,
+        MAX_POOLS_PER_REFRESH: 15,
+        CACHE_TTL_MS: 21600000  // 6 hours; daily candles change slowly
+    },
+
     // Default fee percentage when fee is not available from API
     DEFAULT_FEE_PERCENT: 0.3,
 
     // Auto-refresh interval in milliseconds
     UPDATE_INTERVAL_MS: 900000, // 15 minutes
 
+    // Cache time-to-live per source. Stale entries are served immediately
+    // and revalidated in the background.
+    CACHE_TTL_MS: {
+        GeckoTerminal: 600000,  // 10 minutes
+        DexScreener: 300000     // 5 minutes
+    },
+
+    // Entries older than this are refetched before being shown
+    CACHE_MAX_STALE_MS: 3600000, // 1 hour
+
+    // Request scheduling per source (GeckoTerminal public tier: ~30 req/min)
+    RATE_LIMITS: {
+        GeckoTerminal: { maxRequests: 30, windowMs: 60000, minSpacingMs: 250, maxConcurrent: 3 },
+        DexScreener: { maxRequests: 250, windowMs: 60000, minSpacingMs: 100, maxConcurrent: 4 }
+    },
+
+    // Retry policy: exponential backoff with jitter, honouring Retry-After on 429
+    RETRY: {
+        maxAttempts: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 30000,
+        jitterRatio: 0.3
+    },
+
+    // Maximum pages followed per paginated GeckoTerminal request
+    PAGE_BUDGET: {
+        chainPools: 2,
+        tokenSearch: 2
+    },
+
+    // Flag merged pools whose liquidity or volume differ between sources by more than this
+    SOURCE_DISCREPANCY_THRESHOLD_PERCENT: 20,
+
     // Chain confidence levels
     HIGH_CONFIDENCE_CHAINS: ["ethereum"],
     MEDIUM_CONFIDENCE_CHAINS: ["arbitrum", "optimism", "base", "polygon", "zksync", "linea", "scroll", "blast"],
@@ -26,12 +386,19 @@ const CONFIG = {
     DATA_SOURCES: {
         GeckoTerminal: {
             name: "GeckoTerminal",
+            shortName: "GT",
             baseUrl: "https://api.geckoterminal.com/api/v2",
+            pageSize: 20,
+            searchQueries: ["WBTC", "cbBTC", "WETH", "stETH", "wstETH", "rETH"],
+            enabled: true,
             rank: 1
         },
         DexScreener: {
             name: "DexScreener",
+            shortName: "DS",
             baseUrl: "https://api.dexscreener.com/latest/dex",
+            searchQueries: ["WBTC", "WETH"],
+            enabled: true,
             rank: 2
         }
     },
@@ -60,6 +60,17 @@ function getLiquidityIndicator(liquidityUsd) {
     return { colorClass, percentage, hue };
 }
 
+/**
+ * Converts a #rrggbb color to an rgba() string.
+ */
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    const r = (value >> 16) & 255;
+    const g = (value >> 8) & 255;
+    const b = value & 255;
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
 /**
  * Returns APR color class based on value.
  */
@@ -82,6 +93,7 @@ function getFeeBadgeClass(feePercent) {
 /**
  * Calculates estimated APR based on volume, liquidity, and fee.
  * APR = (Daily Volume * Fee Rate * 365) / Liquidity * 100
+ * Pass a daily-equivalent volume when scoring a shorter window.
  */
 function calculateApr(volumeUsd24h, liquidityUsd, feePercent) {
     if (!liquidityUsd || liquidityUsd <= 0 || !feePercent) return 0;
@@ -142,18 +154,286 @@ function parseFeeToPercent(feeValue) {
     return null;
 }
 
+// =================================================================
+// REQUEST SCHEDULER (PER-SOURCE RATE LIMITING)
+// =================================================================
+
+const REQUEST_PRIORITY = { HIGH: 0, NORMAL: 1, LOW: 2 };
+const requestSchedulers = new Map();
+
+/**
+ * Returns the scheduler state for a source, creating it from CONFIG.RATE_LIMITS.
+ */
+function getRequestScheduler(source) {
+    if (!requestSchedulers.has(source)) {
+        const limits = CONFIG.RATE_LIMITS?.[source] || {};
+        requestSchedulers.set(source, {
+            source: source,
+            maxRequests: limits.maxRequests || Infinity,
+            windowMs: limits.windowMs || 60000,
+            minSpacingMs: limits.minSpacingMs || 0,
+            maxConcurrent: limits.maxConcurrent || Infinity,
+            queue: [],
+            sentAt: [],
+            active: 0,
+            lastSentAt: 0,
+            pausedUntil: 0,
+            timerId: null,
+            sequence: 0
+        });
+    }
+    return requestSchedulers.get(source);
+}
+
+/**
+ * Queues a request for a source and resolves with the task's result.
+ * Lower priority numbers run first; equal priorities run in submission order.
+ */
+function scheduleRequest(source, task, priority = REQUEST_PRIORITY.NORMAL) {
+    const scheduler = getRequestScheduler(source);
+
+    return new Promise((resolve, reject) => {
+        scheduler.queue.push({ task, priority, order: scheduler.sequence++, resolve, reject });
+        scheduler.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+        drainRequestQueue(scheduler);
+    });
+}
+
+/**
+ * Returns how long the next request must wait to stay within the rate limit.
+ */
+function getSchedulerWait(scheduler, now) {
+    let wait = Math.max(
+        0,
+        scheduler.pausedUntil - now,
+        scheduler.lastSentAt + scheduler.minSpacingMs - now
+    );
+    if (scheduler.sentAt.length >= scheduler.maxRequests) {
+        wait = Math.max(wait, scheduler.sentAt[0] + scheduler.windowMs - now);
+    }
+    return wait;
+}
+
+/**
+ * Starts queued requests while the sliding window, spacing and concurrency allow.
+ */
+function drainRequestQueue(scheduler) {
+    if (scheduler.timerId) return;
+
+    while (scheduler.queue.length > 0 && scheduler.active < scheduler.maxConcurrent) {
+        const now = Date.now();
+        scheduler.sentAt = scheduler.sentAt.filter(t => now - t < scheduler.windowMs);
+
+        const waitMs = getSchedulerWait(scheduler, now);
+        if (waitMs > 0) {
+            scheduler.timerId = setTimeout(() => {
+                scheduler.timerId = null;
+                drainRequestQueue(scheduler);
+            }, waitMs);
+            return;
+        }
+
+        const job = scheduler.queue.shift();
+        scheduler.active++;
+        scheduler.sentAt.push(now);
+        scheduler.lastSentAt = now;
+
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                scheduler.active--;
+                drainRequestQueue(scheduler);
+            });
+    }
+}
+
+/**
+ * Holds back all queued requests for a source, e.g. after a 429 response.
+ */
+function pauseRequestScheduler(source, ms) {
+    const scheduler = getRequestScheduler(source);
+    scheduler.pausedUntil = Math.max(scheduler.pausedUntil, Date.now() + ms);
+    logMessage(`${source} requests paused for ${ms}ms.`, 'warn');
+}
+
+// =================================================================
+// SOURCE HEALTH
+// =================================================================
+
+// Filled in by data source adapters as they register
+const SOURCE_ENDPOINT_LABELS = {};
+
+const sourceHealth = new Map();
+
+/**
+ * Records the final outcome of a request (after retries) for an endpoint.
+ */
+function recordRequestOutcome(endpoint, { success, latencyMs, retries = 0, error = null }) {
+    const health = sourceHealth.get(endpoint) || {
+        label: SOURCE_ENDPOINT_LABELS[endpoint] || endpoint,
+        requests: 0,
+        successes: 0,
+        retries: 0,
+        totalLatencyMs: 0,
+        lastLatencyMs: null,
+        lastSuccessAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastOk: null
+    };
+
+    health.requests++;
+    health.retries += retries;
+    health.lastOk = success;
+
+    if (success) {
+        health.successes++;
+        health.totalLatencyMs += latencyMs;
+        health.lastLatencyMs = latencyMs;
+        health.lastSuccessAt = Date.now();
+    } else {
+        health.lastError = error;
+        health.lastErrorAt = Date.now();
+    }
+
+    sourceHealth.set(endpoint, health);
+    renderSourceHealthPanel();
+}
+
 // =================================================================
 // DATA FETCHING MODULE (OPTIMIZED FOR SPEED)
 // =================================================================
 
 const dataCache = new Map();
+let revalidationRenderTimeoutId = null;
+
+/**
+ * Returns the cache time-to-live for a data source.
+ */
+function getCacheTtl(source) {
+    return CONFIG.CACHE_TTL_MS?.[source] ?? CONFIG.UPDATE_INTERVAL_MS;
+}
+
+/**
+ * Stores data in the cache with its fetch timestamp.
+ */
+function setCacheEntry(cacheKey, source, data) {
+    dataCache.set(cacheKey, {
+        data: data,
+        source: source,
+        fetchedAt: Date.now(),
+        revalidating: false
+    });
+}
 
 /**
- * Fetches data from a URL with timeout and error handling.
+ * Returns cached data for a key, fetching it when missing or too old.
+ * Stale entries are returned immediately and revalidated in the background.
+ * The fetcher resolves to the data, or null when the request failed.
+ */
+async function getCachedOrFetch(cacheKey, source, fetcher) {
+    const entry = dataCache.get(cacheKey);
+
+    if (entry) {
+        const age = Date.now() - entry.fetchedAt;
+        if (age < getCacheTtl(source)) {
+            return entry.data;
+        }
+        if (age < CONFIG.CACHE_MAX_STALE_MS) {
+            revalidateCacheEntry(cacheKey, source, fetcher);
+            return entry.data;
+        }
+    }
+
+    const data = await fetcher();
+    if (data) {
+        setCacheEntry(cacheKey, source, data);
+        return data;
+    }
+
+    // Serve expired data rather than nothing if the source is down
+    return entry ? entry.data : [];
+}
+
+/**
+ * Refreshes a stale cache entry in the background and re-renders when done.
+ */
+function revalidateCacheEntry(cacheKey, source, fetcher) {
+    const entry = dataCache.get(cacheKey);
+    if (!entry || entry.revalidating) return;
+
+    entry.revalidating = true;
+    fetcher()
+        .then(data => {
+            if (data) {
+                setCacheEntry(cacheKey, source, data);
+                scheduleRevalidatedRender();
+            }
+        })
+        .catch(error => {
+            logMessage(`Background revalidation failed for ${cacheKey}: ${error.message}`, 'warn');
+        })
+        .finally(() => {
+            const current = dataCache.get(cacheKey);
+            if (current) current.revalidating = false;
+            updateDataAgeDisplay();
+        });
+}
+
+/**
+ * Re-runs the pipeline from cache once background revalidations settle.
+ */
+function scheduleRevalidatedRender() {
+    if (revalidationRenderTimeoutId) clearTimeout(revalidationRenderTimeoutId);
+    revalidationRenderTimeoutId = setTimeout(() => {
+        revalidationRenderTimeoutId = null;
+        if (refreshInProgress) {
+            scheduleRevalidatedRender();
+            return;
+        }
+        logMessage('Cache revalidated. Re-rendering with fresh data.', 'info');
+        mainApp({ isRefresh: false });
+    }, 1000);
+}
+
+/**
+ * Returns true while any stale cache entry is being revalidated.
+ */
+function isCacheRevalidating() {
+    for (const entry of dataCache.values()) {
+        if (entry.revalidating) return true;
+    }
+    return false;
+}
+
+/**
+ * Summarizes cache age and staleness for each data source.
+ */
+function getCacheAgeBySource() {
+    const summary = {};
+    const now = Date.now();
+
+    for (const entry of dataCache.values()) {
+        const age = now - entry.fetchedAt;
+        const current = summary[entry.source] || { age: 0, stale: false, revalidating: false };
+        current.age = Math.max(current.age, age);
+        current.stale = current.stale || age >= getCacheTtl(entry.source);
+        current.revalidating = current.revalidating || entry.revalidating;
+        summary[entry.source] = current;
+    }
+
+    return summary;
+}
+
+/**
+ * Performs a single fetch attempt with a timeout.
+ * Resolves to { data, status, error, retryAfterMs, latencyMs }; never throws.
  */
 async function fetchWithTimeout(url, timeout = 10000) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const startTime = Date.now();
 
     try {
         const response = await fetch(url, {
@@ -163,159 +443,266 @@ async function fetchWithTimeout(url, timeout = 10000) {
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-            logMessage(`Fetch failed for ${url}: ${response.status}`, 'warn');
-            return null;
+            return {
+                data: null,
+                status: response.status,
+                error: `HTTP ${response.status}`,
+                retryAfterMs: parseRetryAfter(response.headers?.get('Retry-After')),
+                latencyMs: Date.now() - startTime
+            };
         }
-        return await response.json();
+        const data = await response.json();
+        return { data, status: response.status, error: null, retryAfterMs: null, latencyMs: Date.now() - startTime };
     } catch (error) {
         clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-            logMessage(`Fetch timed out for ${url}`, 'warn');
-        } else {
-            logMessage(`Fetch error for ${url}: ${error.message}`, 'error');
+        const message = error.name === 'AbortError' ? `Timed out after ${timeout}ms` : error.message;
+        return { data: null, status: null, error: message, retryAfterMs: null, latencyMs: Date.now() - startTime };
+    }
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(headerValue);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+/**
+ * Returns true if a failed attempt is worth retrying.
+ */
+function isRetryableFailure(result) {
+    if (result.status === null) return true; // network error or timeout
+    return result.status === 408 || result.status === 429 || result.status >= 500;
+}
+
+/**
+ * Calculates the backoff before the next attempt, with random jitter.
+ */
+function getRetryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs, jitterRatio } = CONFIG.RETRY;
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    const jitter = exponential * jitterRatio * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(exponential + jitter));
+}
+
+/**
+ * Fetches JSON through the source's scheduler, retrying transient failures.
+ * A 429 pauses the whole source for its Retry-After period.
+ * Returns the parsed data, or null once all attempts have failed.
+ */
+async function fetchWithRetry(url, { source, endpoint, priority = REQUEST_PRIORITY.NORMAL }) {
+    const maxAttempts = CONFIG.RETRY.maxAttempts;
+    let result = null;
+    let attempt = 0;
+
+    while (attempt < maxAttempts) {
+        attempt++;
+        result = await scheduleRequest(source, () => fetchWithTimeout(url), priority);
+
+        if (!result.error) {
+            recordRequestOutcome(endpoint, { success: true, latencyMs: result.latencyMs, retries: attempt - 1 });
+            return result.data;
         }
-        return null;
+
+        if (attempt === maxAttempts || !isRetryableFailure(result)) break;
+
+        // The scheduler honours the full Retry-After; the refresh only waits up to the backoff cap
+        let waitMs = getRetryDelay(attempt);
+        if (result.status === 429) {
+            waitMs = result.retryAfterMs ?? waitMs;
+            pauseRequestScheduler(source, waitMs);
+            if (waitMs > CONFIG.RETRY.maxDelayMs) {
+                logMessage(`${source} asked to wait ${Math.round(waitMs / 1000)}s. Giving up on ${url} for this refresh.`, 'warn');
+                break;
+            }
+        }
+
+        logMessage(`${result.error} for ${url}. Retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxAttempts}).`, 'warn');
+        await delay(waitMs);
+    }
+
+    logMessage(`Fetch failed for ${url}: ${result.error}`, 'warn');
+    recordRequestOutcome(endpoint, { success: false, latencyMs: result.latencyMs, retries: attempt - 1, error: result.error });
+    return null;
+}
+
+/**
+ * Fetches consecutive GeckoTerminal pages until a short page or the budget is reached.
+ * Returns null if the first page fails; later page failures keep what was loaded.
+ */
+async function fetchGeckoTerminalPages(path, pageBudget, priority, endpoint) {
+    const pools = [];
+    const pageSize = CONFIG.DATA_SOURCES.GeckoTerminal.pageSize;
+    const separator = path.includes('?') ? '&' : '?';
+
+    for (let page = 1; page <= pageBudget; page++) {
+        const url = `${CONFIG.DATA_SOURCES.GeckoTerminal.baseUrl}${path}${separator}page=${page}`;
+        const pagePriority = page === 1 ? priority : REQUEST_PRIORITY.LOW;
+        const data = await fetchWithRetry(url, { source: 'GeckoTerminal', endpoint, priority: pagePriority });
+
+        if (!data || !Array.isArray(data.data)) {
+            if (page === 1) return null;
+            break;
+        }
+
+        pools.push(...data.data);
+
+        const hasNextLink = !data.links || Boolean(data.links.next);
+        if (data.data.length < pageSize || !hasNextLink) break;
     }
+
+    return pools;
 }
 
 /**
- * Fetches pools from GeckoTerminal for a specific chain (single page for speed).
+ * Fetches pools from GeckoTerminal for a specific chain, following pagination.
  */
 async function fetchGeckoTerminalPoolsForChain(chainName) {
     const geckoChainId = CONFIG.CHAIN_TO_GECKO_ID[chainName];
     if (!geckoChainId) return [];
 
-    const cacheKey = `gt-${geckoChainId}`;
-    if (dataCache.has(cacheKey)) {
-        return dataCache.get(cacheKey);
-    }
-
-    const url = `${CONFIG.DATA_SOURCES.GeckoTerminal.baseUrl}/networks/${geckoChainId}/pools?page=1`;
-    const data = await fetchWithTimeout(url);
-    
-    if (data && data.data && Array.isArray(data.data)) {
-        dataCache.set(cacheKey, data.data);
-        return data.data;
-    }
+    const priority = CONFIG.HIGH_CONFIDENCE_CHAINS.includes(chainName)
+        ? REQUEST_PRIORITY.HIGH
+        : REQUEST_PRIORITY.NORMAL;
 
-    return [];
+    const cacheKey = `gt-${geckoChainId}`;
+    return getCachedOrFetch(cacheKey, 'GeckoTerminal', () =>
+        fetchGeckoTerminalPages(`/networks/${geckoChainId}/pools`, CONFIG.PAGE_BUDGET.chainPools, priority, 'gt-chain')
+    );
 }
 
 /**
- * Fetches pools from GeckoTerminal using token search.
+ * Fetches pools from GeckoTerminal using token search, following pagination.
  */
 async function fetchGeckoTerminalTokenSearch(query) {
     const cacheKey = `gt-search-${query}`;
-    if (dataCache.has(cacheKey)) {
-        return dataCache.get(cacheKey);
-    }
-
-    const url = `${CONFIG.DATA_SOURCES.GeckoTerminal.baseUrl}/search/pools?query=${encodeURIComponent(query)}&page=1`;
-    const data = await fetchWithTimeout(url);
-    
-    if (data && data.data && Array.isArray(data.data)) {
-        dataCache.set(cacheKey, data.data);
-        return data.data;
-    }
-
-    return [];
+    return getCachedOrFetch(cacheKey, 'GeckoTerminal', () =>
+        fetchGeckoTerminalPages(
+            `/search/pools?query=${encodeURIComponent(query)}`,
+            CONFIG.PAGE_BUDGET.tokenSearch,
+            REQUEST_PRIORITY.NORMAL,
+            'gt-search'
+        )
+    );
 }
 
 /**
  * Fetches pools from DexScreener for a single query.
  */
 async function fetchDexScreenerQuery(query) {
-    const url = `${CONFIG.DATA_SOURCES.DexScreener.baseUrl}/search?q=${encodeURIComponent(query)}`;
-    const data = await fetchWithTimeout(url);
-    
-    if (data && data.pairs && Array.isArray(data.pairs)) {
-        return data.pairs;
-    }
-    return [];
+    const cacheKey = `ds-search-${query}`;
+    return getCachedOrFetch(cacheKey, 'DexScreener', async () => {
+        const url = `${CONFIG.DATA_SOURCES.DexScreener.baseUrl}/search?q=${encodeURIComponent(query)}`;
+        const data = await fetchWithRetry(url, { source: 'DexScreener', endpoint: 'dexscreener' });
+
+        if (data && data.pairs && Array.isArray(data.pairs)) {
+            return data.pairs;
+        }
+        return null;
+    });
 }
 
 /**
- * Main orchestrator - fetches from all sources in parallel for speed.
+ * Fetches GeckoTerminal chain pool lists and token searches in parallel.
  */
-async function fetchAllPoolData() {
-    const allRawPools = [];
-    const startTime = Date.now();
-
-    logMessage('Starting parallel data fetch...', 'info');
+async function fetchGeckoTerminalPools(chains) {
+    const rawPools = [];
+    const tokenSearches = CONFIG.DATA_SOURCES.GeckoTerminal.searchQueries || [];
 
-    const chainsToFetch = [...CONFIG.HIGH_CONFIDENCE_CHAINS, ...CONFIG.MEDIUM_CONFIDENCE_CHAINS];
-    const tokenSearches = ['WBTC', 'cbBTC', 'WETH', 'stETH', 'wstETH', 'rETH'];
-    const dexScreenerQueries = ['WBTC', 'WETH'];
-
-    // 1. GeckoTerminal chain fetches (parallel)
-    const chainPromises = chainsToFetch.map(chain => 
+    const chainPromises = chains.map(chain =>
         fetchGeckoTerminalPoolsForChain(chain)
             .then(data => ({ data, chain }))
             .catch(() => ({ data: [], chain }))
     );
 
-    // 2. GeckoTerminal token searches (parallel)
     const searchPromises = tokenSearches.map(token =>
         fetchGeckoTerminalTokenSearch(token)
             .then(data => ({ data, chain: null }))
             .catch(() => ({ data: [], chain: null }))
     );
 
-    // 3. DexScreener queries (parallel)
-    const dexPromises = dexScreenerQueries.map(query =>
-        fetchDexScreenerQuery(query)
-            .then(data => ({ data, chain: null }))
-            .catch(() => ({ data: [], chain: null }))
-    );
-
-    // Execute all in parallel
-    const [chainResults, searchResults, dexResults] = await Promise.all([
+    const [chainResults, searchResults] = await Promise.all([
         Promise.allSettled(chainPromises),
-        Promise.allSettled(searchPromises),
-        Promise.allSettled(dexPromises)
+        Promise.allSettled(searchPromises)
     ]);
 
-    // Process GeckoTerminal chain results
     for (const result of chainResults) {
         if (result.status === 'fulfilled' && result.value.data.length > 0) {
-            allRawPools.push(...result.value.data.map(p => ({
-                ...p,
-                _source: 'GeckoTerminal',
-                _sourceRank: CONFIG.DATA_SOURCES.GeckoTerminal.rank,
-                _chain: result.value.chain
-            })));
+            rawPools.push(...result.value.data.map(p => ({ ...p, _chain: result.value.chain })));
         }
     }
 
-    // Process GeckoTerminal search results
     for (const result of searchResults) {
         if (result.status === 'fulfilled' && result.value.data.length > 0) {
-            allRawPools.push(...result.value.data.map(p => ({
-                ...p,
-                _source: 'GeckoTerminal',
-                _sourceRank: CONFIG.DATA_SOURCES.GeckoTerminal.rank,
-                _chain: p.attributes?.network || 'unknown'
-            })));
+            rawPools.push(...result.value.data.map(p => ({ ...p, _chain: getGeckoTerminalChain(p) })));
         }
     }
 
-    // Process DexScreener results
+    return rawPools;
+}
+
+/**
+ * Fetches DexScreener search queries in parallel, deduplicated by pair address.
+ */
+async function fetchDexScreenerPools() {
+    const rawPools = [];
+    const queries = CONFIG.DATA_SOURCES.DexScreener.searchQueries || [];
+
+    const results = await Promise.allSettled(queries.map(query => fetchDexScreenerQuery(query)));
+
     const seenDexPairs = new Set();
-    for (const result of dexResults) {
-        if (result.status === 'fulfilled' && result.value.data.length > 0) {
-            for (const pair of result.value.data) {
+    for (const result of results) {
+        if (result.status === 'fulfilled' && result.value.length > 0) {
+            for (const pair of result.value) {
                 if (!seenDexPairs.has(pair.pairAddress)) {
                     seenDexPairs.add(pair.pairAddress);
-                    allRawPools.push({
-                        ...pair,
-                        _source: 'DexScreener',
-                        _sourceRank: CONFIG.DATA_SOURCES.DexScreener.rank
-                    });
+                    rawPools.push(pair);
                 }
             }
         }
     }
 
+    return rawPools;
+}
+
+/**
+ * Main orchestrator - fetches from all registered sources in parallel.
+ * Raw pools are tagged with their adapter's name and rank.
+ */
+async function fetchAllPoolData() {
+    const allRawPools = [];
+    const startTime = Date.now();
+
+    logMessage('Starting parallel data fetch...', 'info');
+
+    const chainsToFetch = [...CONFIG.HIGH_CONFIDENCE_CHAINS, ...CONFIG.MEDIUM_CONFIDENCE_CHAINS];
+    const adapters = getDataSourceAdapters();
+
+    const results = await Promise.allSettled(adapters.map(adapter => adapter.fetch(chainsToFetch)));
+
+    results.forEach((result, index) => {
+        const adapter = adapters[index];
+        if (result.status !== 'fulfilled') {
+            logMessage(`${adapter.name} fetch failed: ${result.reason?.message || result.reason}`, 'error');
+            return;
+        }
+        if (!Array.isArray(result.value)) return;
+
+        allRawPools.push(...result.value.map(p => ({
+            ...p,
+            _source: adapter.name,
+            _sourceRank: adapter.rank
+        })));
+    });
+
     const elapsed = Date.now() - startTime;
     logMessage(`Fetched ${allRawPools.length} raw pools in ${elapsed}ms`, 'success');
 
@@ -323,198 +710,514 @@ async function fetchAllPoolData() {
 }
 
 // =================================================================
-// NORMALIZATION & RESOLUTION
+// DEX PROTOCOLS & FEE MODEL
 // =================================================================
 
+// Display names for CONFIG.DEX_PROTOCOLS amm types
+const AMM_TYPE_LABELS = {
+    'constant-product': 'Constant product',
+    'concentrated': 'Concentrated',
+    'stableswap': 'StableSwap',
+    'weighted': 'Weighted'
+};
+
+// Normalized dex alias -> CONFIG.DEX_PROTOCOLS key
+const dexAliasIndex = buildDexAliasIndex();
+
+// Fee provenance, best first
+const FEE_SOURCES = ['measured', 'inferred', 'defaulted'];
+
 /**
- * Determines the canonical asset class for a token symbol.
+ * Lowercases a dex id and treats "-" and spaces as "_".
  */
-function resolveAssetClass(symbol) {
-    if (!symbol) return null;
-    const lowerSymbol = symbol.toLowerCase();
-    
-    for (const assetClass in CONFIG.ASSET_CLASSES) {
-        if (CONFIG.ASSET_CLASSES[assetClass].some(alt => lowerSymbol.includes(alt))) {
-            return assetClass;
+function normalizeDexId(dexId) {
+    return String(dexId || '').toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Builds the alias lookup from CONFIG.DEX_PROTOCOLS.
+ */
+function buildDexAliasIndex() {
+    const index = new Map();
+    for (const protocolId in CONFIG.DEX_PROTOCOLS) {
+        for (const alias of CONFIG.DEX_PROTOCOLS[protocolId].aliases || []) {
+            index.set(normalizeDexId(alias), protocolId);
         }
     }
-    return null;
+    return index;
 }
 
 /**
- * Determines the pair type for a pool based on its assets.
+ * Returns the protocol key for the first matching dex id candidate.
+ * Unmatched ids drop trailing "_" segments ("uniswap_v3_arbitrum" -> "uniswap_v3").
  */
-function determinePairType(baseAsset, quoteAsset) {
-    if (baseAsset === 'BTC' && quoteAsset === 'BTC') return 'wrapped';
-    if (baseAsset === 'ETH' && quoteAsset === 'ETH') return 'wrapped';
-    if (baseAsset === 'BTC' && quoteAsset === 'STABLE') return 'btc-stable';
-    if (baseAsset === 'ETH' && quoteAsset === 'STABLE') return 'eth-stable';
-    if (baseAsset === 'BTC' && quoteAsset === 'ETH') return 'btc-eth';
-    if (baseAsset === 'ETH' && quoteAsset === 'BTC') return 'btc-eth';
-    if (baseAsset === 'STABLE' && quoteAsset === 'BTC') return 'btc-stable';
-    if (baseAsset === 'STABLE' && quoteAsset === 'ETH') return 'eth-stable';
+function resolveDexProtocol(dexCandidates) {
+    for (const candidate of dexCandidates) {
+        const parts = normalizeDexId(candidate).split('_').filter(Boolean);
+        for (let length = parts.length; length > 0; length--) {
+            const protocolId = dexAliasIndex.get(parts.slice(0, length).join('_'));
+            if (protocolId) return protocolId;
+        }
+    }
     return null;
 }
 
 /**
- * Checks if two token symbols are different variants of the same asset.
+ * Returns true if both tokens of a resolved pair share an asset class.
  */
-function areDifferentVariants(symbol1, symbol2, assetClass) {
-    if (!symbol1 || !symbol2 || !assetClass) return false;
-    const lower1 = symbol1.toLowerCase();
-    const lower2 = symbol2.toLowerCase();
-    
-    if (lower1 === lower2) return false;
-    
-    const variants = CONFIG.ASSET_CLASSES[assetClass];
-    if (!variants) return false;
-    
-    const match1 = variants.some(v => lower1.includes(v));
-    const match2 = variants.some(v => lower2.includes(v));
-    
-    return match1 && match2;
+function isCorrelatedPair(pair) {
+    return pair.baseToken.assetClass === pair.quoteToken.assetClass;
 }
 
 /**
- * Extracts fee from GeckoTerminal pool data.
+ * Resolves the protocol, its display name and the pool's AMM type.
+ * Unknown dexes keep the source's id as their name.
  */
-function extractGeckoTerminalFee(attrs) {
-    // Try various fee field names that GeckoTerminal might use
-    if (attrs.swap_fee) return parseFeeToPercent(attrs.swap_fee);
-    if (attrs.fee) return parseFeeToPercent(attrs.fee);
-    if (attrs.pool_fee) return parseFeeToPercent(attrs.pool_fee);
-    
-    // Try to extract from pool name (e.g., "WETH/USDC 0.3%")
-    const name = attrs.name || '';
-    const feeMatch = name.match(/(\d+\.?\d*)\s*%/);
-    if (feeMatch) {
-        return parseFloat(feeMatch[1]);
+function resolveDexInfo(dexCandidates, pair) {
+    const candidates = dexCandidates.filter(Boolean);
+    const protocolId = resolveDexProtocol(candidates);
+    const protocol = protocolId ? CONFIG.DEX_PROTOCOLS[protocolId] : null;
+    if (!protocol) {
+        return { protocol: null, protocolLabel: candidates[candidates.length - 1] || null, ammType: null };
     }
-    
-    // Try to extract fee tier from name (e.g., "0.05", "0.3", "1")
-    const tierMatch = name.match(/\b(0\.01|0\.05|0\.3|0\.30|1|1\.0)\b/);
-    if (tierMatch) {
-        return parseFloat(tierMatch[1]);
-    }
-    
-    return null;
+
+    const ammType = typeof protocol.amm === 'object'
+        ? protocol.amm[isCorrelatedPair(pair) ? 'correlated' : 'uncorrelated']
+        : protocol.amm;
+    return { protocol: protocolId, protocolLabel: protocol.label, ammType: ammType || null };
 }
 
 /**
- * Normalizes a GeckoTerminal pool object.
+ * Returns true if a fee is one of a protocol's listed tiers.
  */
-function normalizeGeckoTerminalPool(pool) {
-    const attrs = pool.attributes || {};
-    const baseSymbol = attrs.base_token_symbol || '';
-    const quoteSymbol = attrs.quote_token_symbol || '';
+function isProtocolFeeTier(protocol, fee) {
+    return Boolean(protocol?.tiers?.some(tier => Math.abs(tier - fee) < 1e-9));
+}
 
-    let baseAssetClass = resolveAssetClass(baseSymbol);
-    let quoteAssetClass = resolveAssetClass(quoteSymbol);
+/**
+ * Returns the fee tier at the end of a pool name ("WETH / USDC 0.05%"), or null.
+ */
+function extractNameFeeTier(name) {
+    const feeMatch = (name || '').match(/\s(\d+(?:\.\d+)?)%$/);
+    return feeMatch ? parseFloat(feeMatch[1]) : null;
+}
 
-    const isWrappedPair = (baseAssetClass === quoteAssetClass) && 
-                          (baseAssetClass === 'BTC' || baseAssetClass === 'ETH') &&
-                          areDifferentVariants(baseSymbol, quoteSymbol, baseAssetClass);
+/**
+ * Works out a pool's fee and where it came from:
+ *   measured  - reported in a fee field (and a valid tier for the protocol)
+ *   inferred  - a tier from the pool name, a dynamic protocol's current fee,
+ *               or the protocol's fixed fee, pool-kind fee or typical fee
+ *   defaulted - unknown; feeTier is null and APR uses CONFIG.DEFAULT_FEE_PERCENT
+ */
+function resolvePoolFee(protocolId, reportedFee, pair, nameFee = null) {
+    const protocol = protocolId ? CONFIG.DEX_PROTOCOLS[protocolId] : null;
+    const result = { feeTier: null, feeSource: 'defaulted', feeDynamic: Boolean(protocol?.dynamic) };
 
-    if (!isWrappedPair) {
-        if (quoteAssetClass === 'BTC' || (quoteAssetClass === 'ETH' && baseAssetClass === 'STABLE')) {
-            [baseAssetClass, quoteAssetClass] = [quoteAssetClass, baseAssetClass];
+    if (reportedFee > 0) {
+        // A dynamic fee moves with the market; the reported value is only a snapshot
+        if (protocol?.dynamic) {
+            return { ...result, feeTier: reportedFee, feeSource: 'inferred' };
         }
+        if (!protocol?.tiers || isProtocolFeeTier(protocol, reportedFee)) {
+            return { ...result, feeTier: reportedFee, feeSource: 'measured' };
+        }
+        logMessage(`Ignoring fee ${reportedFee}% for ${protocolId}: not one of its tiers.`, 'warn');
     }
 
-    const pairType = determinePairType(baseAssetClass, quoteAssetClass);
-    if (!pairType) return null;
-
-    if (!isWrappedPair && baseAssetClass === quoteAssetClass) return null;
-
-    let chainName = pool._chain;
-    if (!chainName || chainName === 'unknown') {
-        const networkId = attrs.network?.identifier || attrs.network_id || '';
-        chainName = CONFIG.CHAIN_ID_MAP[networkId] || networkId || 'unknown';
+    // Names are free text, so a tier in one is only used if the protocol has it
+    if (nameFee > 0 && isProtocolFeeTier(protocol, nameFee)) {
+        return { ...result, feeTier: nameFee, feeSource: 'inferred' };
     }
 
-    const liquidityUsd = parseFloat(attrs.reserve_in_usd) || 0;
-    const volumeUsd24h = parseFloat(attrs.volume_usd?.h24) || 0;
-    const feeTier = extractGeckoTerminalFee(attrs);
+    if (protocol) {
+        const inferredFee = protocol.fee
+            ?? protocol.poolFees?.[isCorrelatedPair(pair) ? 'correlated' : 'uncorrelated']
+            ?? protocol.typicalFee;
+        if (inferredFee !== undefined) {
+            return { ...result, feeTier: inferredFee, feeSource: 'inferred' };
+        }
+    }
 
-    return {
-        id: pool.id || `gt-${Math.random().toString(36).substr(2, 9)}`,
-        name: attrs.name || `${baseSymbol}/${quoteSymbol}`,
-        baseAsset: baseAssetClass,
-        quoteAsset: quoteAssetClass,
-        pairType: pairType,
-        liquidityUsd: liquidityUsd,
-        volumeUsd24h: volumeUsd24h,
-        feeTier: feeTier,
-        chain: chainName,
-        source: pool._source,
-        sourceRank: pool._sourceRank,
-        score: null,
-        apr: null,
-        poolUrl: attrs.pool_url || (pool.id ? `https://www.geckoterminal.com/${CONFIG.CHAIN_TO_GECKO_ID[chainName] || chainName}/pools/${pool.id.split('_').pop()}` : null)
-    };
+    return result;
 }
 
 /**
- * Normalizes a DexScreener pool object.
+ * Returns the fee used for APR: the pool's fee, or the configured default.
  */
-function normalizeDexScreenerPool(pool) {
-    const baseToken = pool.baseToken || {};
-    const quoteToken = pool.quoteToken || {};
-    const baseSymbol = baseToken.symbol || '';
-    const quoteSymbol = quoteToken.symbol || '';
+function getEffectiveFee(pool) {
+    return pool.feeTier ?? CONFIG.DEFAULT_FEE_PERCENT;
+}
+
+// =================================================================
+// NORMALIZATION & RESOLUTION
+// =================================================================
 
-    let baseAssetClass = resolveAssetClass(baseSymbol);
-    let quoteAssetClass = resolveAssetClass(quoteSymbol);
+/**
+ * Builds per-chain lookups from CONFIG.CANONICAL_TOKENS:
+ * chain -> { byAddress: Map(lowercase address -> token key), keys: Set(token key) }
+ */
+function buildCanonicalTokenIndex() {
+    const index = new Map();
+    for (const chain in CONFIG.CANONICAL_TOKENS) {
+        const byAddress = new Map();
+        const tokens = CONFIG.CANONICAL_TOKENS[chain];
+        for (const key in tokens) {
+            byAddress.set(tokens[key].toLowerCase(), key);
+        }
+        index.set(chain, { byAddress, keys: new Set(Object.keys(tokens)) });
+    }
+    return index;
+}
 
-    const isWrappedPair = (baseAssetClass === quoteAssetClass) && 
-                          (baseAssetClass === 'BTC' || baseAssetClass === 'ETH') &&
-                          areDifferentVariants(baseSymbol, quoteSymbol, baseAssetClass);
+const canonicalTokenIndex = buildCanonicalTokenIndex();
 
-    if (!isWrappedPair) {
-        if (quoteAssetClass === 'BTC' || (quoteAssetClass === 'ETH' && baseAssetClass === 'STABLE')) {
-            [baseAssetClass, quoteAssetClass] = [quoteAssetClass, baseAssetClass];
+/**
+ * Flattens CONFIG.ASSET_TAXONOMY into token key -> { assetClass, subClass, subClassLabel, tags }.
+ */
+function buildTokenTaxonomyIndex() {
+    const index = new Map();
+    for (const assetClass in CONFIG.ASSET_TAXONOMY) {
+        const subClasses = CONFIG.ASSET_TAXONOMY[assetClass];
+        for (const subClass in subClasses) {
+            const { label, tokens } = subClasses[subClass];
+            for (const key in tokens) {
+                index.set(key, { assetClass, subClass, subClassLabel: label || subClass, tags: tokens[key] });
+            }
         }
     }
+    return index;
+}
+
+const tokenTaxonomyIndex = buildTokenTaxonomyIndex();
 
-    const pairType = determinePairType(baseAssetClass, quoteAssetClass);
-    if (!pairType) return null;
+/**
+ * Determines the asset class for a token key (exact match, no substrings).
+ */
+function resolveAssetClass(tokenKey) {
+    if (!tokenKey) return null;
+    const entry = tokenTaxonomyIndex.get(tokenKey);
+    return entry ? entry.assetClass : null;
+}
+
+/**
+ * Builds a token identity from its key, adding its taxonomy sub-class and tags.
+ */
+function createTokenIdentity(key, symbol, address, verified) {
+    const taxonomy = tokenTaxonomyIndex.get(key);
+    return {
+        key: key,
+        symbol: symbol || key.toUpperCase(),
+        address: address || null,
+        assetClass: taxonomy.assetClass,
+        subClass: taxonomy.subClass,
+        subClassLabel: taxonomy.subClassLabel,
+        tags: taxonomy.tags,
+        verified: verified
+    };
+}
 
-    if (!isWrappedPair && baseAssetClass === quoteAssetClass) return null;
+/**
+ * Resolves a token to its canonical identity.
+ * Registered contract addresses are verified. Otherwise the exact symbol is
+ * used as an unverified fallback, unless the chain registers that symbol at a
+ * different address, in which case the token is treated as an impostor.
+ * Returns { key, symbol, address, assetClass, subClass, subClassLabel, tags, verified } or null.
+ */
+function resolveTokenIdentity(chain, address, symbol) {
+    const lowerAddress = (address || '').toLowerCase();
+    const chainTokens = canonicalTokenIndex.get(chain);
 
-    const chainName = CONFIG.CHAIN_ID_MAP[(pool.chainId || '').toLowerCase()] || pool.chainId || 'unknown';
+    if (chainTokens && chainTokens.byAddress.has(lowerAddress)) {
+        const key = chainTokens.byAddress.get(lowerAddress);
+        return createTokenIdentity(key, symbol, lowerAddress, true);
+    }
 
-    // Extract fee from DexScreener - they often have it in the labels or as feeTier
-    let feeTier = null;
-    if (pool.labels && Array.isArray(pool.labels)) {
-        for (const label of pool.labels) {
-            const feeMatch = label.match(/(\d+\.?\d*)\s*%/);
-            if (feeMatch) {
-                feeTier = parseFloat(feeMatch[1]);
-                break;
+    const key = (symbol || '').trim().toLowerCase();
+    const assetClass = resolveAssetClass(key);
+    if (!assetClass) return null;
+
+    if (CONFIG.TOKEN_IDENTITY.REJECT_IMPOSTORS && chainTokens && chainTokens.keys.has(key)) {
+        logMessage(`Rejected ${symbol} on ${chain}: ${lowerAddress || 'no address'} is not the registered contract.`, 'warn');
+        return null;
+    }
+
+    return createTokenIdentity(key, symbol, lowerAddress, false);
+}
+
+/**
+ * Resolves both tokens of a pool and assigns its pair category.
+ * Tokens are oriented so the base matches the category rule's first matcher.
+ * Raw tokens are { address, symbol, priceUsd }; the USD price is carried through.
+ * Returns { baseToken, quoteToken, pairType, verified, tags } or null for untracked pairs.
+ */
+function resolvePair(chain, rawBase, rawQuote) {
+    const identityA = resolveTokenIdentity(chain, rawBase.address, rawBase.symbol);
+    const identityB = resolveTokenIdentity(chain, rawQuote.address, rawQuote.symbol);
+    if (!identityA || !identityB) return null;
+
+    const tokenA = { ...identityA, priceUsd: rawBase.priceUsd || null };
+    const tokenB = { ...identityB, priceUsd: rawQuote.priceUsd || null };
+
+    const match = matchPairCategory(tokenA, tokenB);
+    if (!match) return null;
+
+    const { baseToken, quoteToken } = match;
+    return {
+        baseToken: baseToken,
+        quoteToken: quoteToken,
+        pairType: match.category.id,
+        verified: baseToken.verified && quoteToken.verified,
+        tags: [...new Set([...baseToken.tags, ...quoteToken.tags])]
+    };
+}
+
+/**
+ * Returns the enabled pair categories in display order.
+ */
+function getPairCategories() {
+    return CONFIG.PAIR_CATEGORIES.filter(category => category.enabled !== false);
+}
+
+/**
+ * Checks a token against a category matcher's assetClass, subClass and tag.
+ */
+function tokenMatches(token, matcher) {
+    const allows = (expected, actual) => expected === undefined || [].concat(expected).includes(actual);
+
+    if (!allows(matcher.assetClass, token.assetClass)) return false;
+    if (!allows(matcher.subClass, token.subClass)) return false;
+    if (matcher.tag !== undefined && ![].concat(matcher.tag).some(tag => token.tags.includes(tag))) return false;
+    return true;
+}
+
+/**
+ * Finds the first category with a rule matching the token pair, in either order.
+ * Returns { category, baseToken, quoteToken } or null.
+ */
+function matchPairCategory(tokenA, tokenB) {
+    if (tokenA.key === tokenB.key) return null;
+
+    for (const category of getPairCategories()) {
+        for (const rule of category.rules) {
+            const [first, second] = rule.tokens;
+            if (tokenMatches(tokenA, first) && tokenMatches(tokenB, second)) {
+                return { category, baseToken: tokenA, quoteToken: tokenB };
+            }
+            if (tokenMatches(tokenB, first) && tokenMatches(tokenA, second)) {
+                return { category, baseToken: tokenB, quoteToken: tokenA };
             }
         }
     }
-    if (!feeTier && pool.feeTier) {
-        feeTier = parseFeeToPercent(pool.feeTier);
-    }
-    // Try to extract from pair name
-    if (!feeTier) {
-        const pairName = pool.pairName || `${baseSymbol}/${quoteSymbol}`;
-        const feeMatch = pairName.match(/(\d+\.?\d*)\s*%/);
-        if (feeMatch) {
-            feeTier = parseFloat(feeMatch[1]);
+    return null;
+}
+
+/**
+ * Returns the fee GeckoTerminal reports in a pool's fee fields, or null.
+ */
+function extractGeckoTerminalFee(attrs) {
+    // Try various fee field names that GeckoTerminal might use
+    if (attrs.swap_fee) return parseFeeToPercent(attrs.swap_fee);
+    if (attrs.fee) return parseFeeToPercent(attrs.fee);
+    if (attrs.pool_fee) return parseFeeToPercent(attrs.pool_fee);
+    return null;
+}
+
+/**
+ * Returns a GeckoTerminal pool's network id ("eth", "polygon_pos") from its
+ * network relationship or the prefix of its id ("polygon_pos_0xabc...").
+ */
+function getGeckoTerminalNetworkId(pool) {
+    const networkId = pool.relationships?.network?.data?.id;
+    if (networkId) return networkId;
+    const id = pool.id || '';
+    return id.includes('_') ? id.slice(0, id.lastIndexOf('_')) : null;
+}
+
+/**
+ * Returns the chain name of a GeckoTerminal pool via CHAIN_ID_MAP, or 'unknown'.
+ */
+function getGeckoTerminalChain(pool) {
+    const networkId = getGeckoTerminalNetworkId(pool);
+    if (!networkId) return 'unknown';
+    return CONFIG.CHAIN_ID_MAP[networkId] || networkId;
+}
+
+/**
+ * Extracts the token address from a GeckoTerminal relationship id
+ * ("eth_0xabc...", "polygon_pos_0xabc..."). Network ids can contain "_",
+ * addresses cannot, so the address is the part after the last one.
+ */
+function getGeckoTerminalTokenAddress(relationship) {
+    const id = relationship?.data?.id || '';
+    return id.includes('_') ? id.slice(id.lastIndexOf('_') + 1) : null;
+}
+
+/**
+ * Splits a GeckoTerminal pool name ("WETH / USDC 0.05%") into token symbols.
+ */
+function parseGeckoTerminalPoolName(name) {
+    const parts = (name || '').split(' / ');
+    if (parts.length < 2) return ['', ''];
+    return [parts[0].trim(), parts[1].trim().split(/\s+/)[0]];
+}
+
+/**
+ * Normalizes a GeckoTerminal pool object.
+ */
+function normalizeGeckoTerminalPool(pool) {
+    const attrs = pool.attributes || {};
+    const relationships = pool.relationships || {};
+    const [nameBaseSymbol, nameQuoteSymbol] = parseGeckoTerminalPoolName(attrs.name);
+    const baseSymbol = attrs.base_token_symbol || nameBaseSymbol;
+    const quoteSymbol = attrs.quote_token_symbol || nameQuoteSymbol;
+
+    const chainName = pool._chain && pool._chain !== 'unknown' ? pool._chain : getGeckoTerminalChain(pool);
+
+    const pair = resolvePair(
+        chainName,
+        {
+            address: getGeckoTerminalTokenAddress(relationships.base_token),
+            symbol: baseSymbol,
+            priceUsd: parseFloat(attrs.base_token_price_usd)
+        },
+        {
+            address: getGeckoTerminalTokenAddress(relationships.quote_token),
+            symbol: quoteSymbol,
+            priceUsd: parseFloat(attrs.quote_token_price_usd)
         }
+    );
+    if (!pair) return null;
+
+    const liquidityUsd = parseFloat(attrs.reserve_in_usd) || 0;
+    const volumeUsd = parseWindowValues(attrs.volume_usd);
+    const dexId = relationships.dex?.data?.id || null;
+    const dex = resolveDexInfo([dexId], pair);
+    const fee = resolvePoolFee(dex.protocol, extractGeckoTerminalFee(attrs), pair, extractNameFeeTier(attrs.name));
+    const address = attrs.address || (pool.id ? pool.id.split('_').pop() : null);
+
+    return {
+        id: pool.id || `gt-${Math.random().toString(36).substr(2, 9)}`,
+        address: address,
+        name: attrs.name || `${baseSymbol}/${quoteSymbol}`,
+        baseAsset: pair.baseToken.assetClass,
+        quoteAsset: pair.quoteToken.assetClass,
+        baseToken: pair.baseToken,
+        quoteToken: pair.quoteToken,
+        verified: pair.verified,
+        tags: pair.tags,
+        pairType: pair.pairType,
+        liquidityUsd: liquidityUsd,
+        volumeUsd24h: volumeUsd.h24 || 0,
+        volumeUsd: volumeUsd,
+        transactions24h: parseTransactionCounts(attrs.transactions?.h24),
+        priceChangePct: parseWindowValues(attrs.price_change_percentage),
+        dexId: dexId,
+        protocol: dex.protocol,
+        protocolLabel: dex.protocolLabel,
+        ammType: dex.ammType,
+        feeTier: fee.feeTier,
+        feeSource: fee.feeSource,
+        feeDynamic: fee.feeDynamic,
+        chain: chainName,
+        source: pool._source,
+        sourceRank: pool._sourceRank,
+        score: null,
+        apr: null,
+        poolUrl: attrs.pool_url || (pool.id ? `https://www.geckoterminal.com/${CONFIG.CHAIN_TO_GECKO_ID[chainName] || chainName}/pools/${pool.id.split('_').pop()}` : null)
+    };
+}
+
+/**
+ * Returns the fee DexScreener reports for a pair, from a "0.05%" label or
+ * its feeTier field, or null.
+ */
+function extractDexScreenerFee(pool) {
+    for (const label of pool.labels || []) {
+        const feeMatch = label.match(/^(\d+(?:\.\d+)?)%$/);
+        if (feeMatch) return parseFloat(feeMatch[1]);
+    }
+    if (pool.feeTier) return parseFeeToPercent(pool.feeTier);
+    return null;
+}
+
+/**
+ * Reads per-window values ({ m5, h1, h6, h24 }) from a source's volume or
+ * price-change object. Windows the source does not report are null.
+ */
+function parseWindowValues(values) {
+    const windows = {};
+    for (const windowKey in CONFIG.VOLUME_WINDOWS) {
+        const value = parseFloat(values?.[windowKey]);
+        windows[windowKey] = Number.isFinite(value) ? value : null;
     }
+    return windows;
+}
+
+/**
+ * Reads swap counts ({ buys, sells, buyers, sellers }) for one window.
+ * Unique buyers/sellers are only reported by GeckoTerminal; missing counts are null.
+ */
+function parseTransactionCounts(counts) {
+    if (!counts) return null;
+    const read = key => {
+        const value = parseInt(counts[key], 10);
+        return Number.isFinite(value) ? value : null;
+    };
+    return { buys: read('buys'), sells: read('sells'), buyers: read('buyers'), sellers: read('sellers') };
+}
+
+/**
+ * Normalizes a DexScreener pool object.
+ */
+function normalizeDexScreenerPool(pool) {
+    const baseToken = pool.baseToken || {};
+    const quoteToken = pool.quoteToken || {};
+    const baseSymbol = baseToken.symbol || '';
+    const quoteSymbol = quoteToken.symbol || '';
+
+    const chainName = CONFIG.CHAIN_ID_MAP[(pool.chainId || '').toLowerCase()] || pool.chainId || 'unknown';
+
+    // priceUsd is the base token's USD price; priceNative is its price in quote tokens
+    const basePriceUsd = parseFloat(pool.priceUsd);
+    const priceNative = parseFloat(pool.priceNative);
+    const quotePriceUsd = basePriceUsd > 0 && priceNative > 0 ? basePriceUsd / priceNative : null;
+
+    const pair = resolvePair(
+        chainName,
+        { address: baseToken.address, symbol: baseSymbol, priceUsd: basePriceUsd },
+        { address: quoteToken.address, symbol: quoteSymbol, priceUsd: quotePriceUsd }
+    );
+    if (!pair) return null;
+
+    // DexScreener identifies versions through labels ("v3", "CLMM"), so try dexId + label first
+    const labels = Array.isArray(pool.labels) ? pool.labels : [];
+    const dexCandidates = [...labels.map(label => `${pool.dexId}_${label}`), pool.dexId];
+    const dex = resolveDexInfo(dexCandidates, pair);
+    const fee = resolvePoolFee(dex.protocol, extractDexScreenerFee(pool), pair, extractNameFeeTier(pool.pairName));
 
     return {
         id: pool.pairAddress,
+        address: pool.pairAddress,
         name: `${baseSymbol}/${quoteSymbol}`,
-        baseAsset: baseAssetClass,
-        quoteAsset: quoteAssetClass,
-        pairType: pairType,
+        baseAsset: pair.baseToken.assetClass,
+        quoteAsset: pair.quoteToken.assetClass,
+        baseToken: pair.baseToken,
+        quoteToken: pair.quoteToken,
+        verified: pair.verified,
+        tags: pair.tags,
+        pairType: pair.pairType,
         liquidityUsd: parseFloat(pool.liquidity?.usd) || 0,
         volumeUsd24h: parseFloat(pool.volume?.h24) || 0,
-        feeTier: feeTier,
+        volumeUsd: parseWindowValues(pool.volume),
+        transactions24h: parseTransactionCounts(pool.txns?.h24),
+        priceChangePct: parseWindowValues(pool.priceChange),
+        dexId: pool.dexId || null,
+        protocol: dex.protocol,
+        protocolLabel: dex.protocolLabel,
+        ammType: dex.ammType,
+        feeTier: fee.feeTier,
+        feeSource: fee.feeSource,
+        feeDynamic: fee.feeDynamic,
         chain: chainName,
         source: pool._source,
         sourceRank: pool._sourceRank,
@@ -525,7 +1228,8 @@ function normalizeDexScreenerPool(pool) {
 }
 
 /**
- * Normalizes all raw pool data from various sources.
+ * Normalizes all raw pool data from various sources and reconciles
+ * records that describe the same on-chain pool.
  */
 function normalizeAllPools(rawPools) {
     if (!rawPools || rawPools.length === 0) {
@@ -533,394 +1237,3301 @@ function normalizeAllPools(rawPools) {
         return [];
     }
 
-    const normalizedPools = [];
-    const seenIds = new Set();
+    // Group by (chain, pool address), keeping the first record per source
+    const recordsByKey = new Map();
+
+    for (const pool of rawPools) {
+        const adapter = dataSourceAdapters.get(pool._source);
+        const normalized = adapter ? adapter.normalize(pool) : null;
+
+        if (!normalized) continue;
+
+        const key = getPoolKey(normalized.chain, normalized.address || normalized.id);
+        const records = recordsByKey.get(key) || [];
+        if (!records.some(r => r.source === normalized.source)) {
+            records.push(normalized);
+            recordsByKey.set(key, records);
+        }
+    }
+
+    const normalizedPools = [];
+    let mergedCount = 0;
+    let flaggedCount = 0;
+
+    for (const [key, records] of recordsByKey) {
+        const reconciled = reconcilePoolRecords(key, records);
+        if (records.length > 1) mergedCount++;
+        if (reconciled.discrepancy?.flagged) flaggedCount++;
+        normalizedPools.push(reconciled);
+    }
+
+    logMessage(`Normalized ${normalizedPools.length} unique pools (${mergedCount} cross-source, ${flaggedCount} with discrepancies).`, 'info');
+    return normalizedPools;
+}
+
+// =================================================================
+// DATA SOURCE ADAPTERS
+// =================================================================
+
+/**
+ * Registered data sources, keyed by name. An adapter is a plain object:
+ *   name           - source name, also its CONFIG.DATA_SOURCES key
+ *   rank           - lower ranks win when reconciling fields across sources
+ *   fetch(chains)  - resolves to an array of raw pool objects
+ *   normalize(raw) - returns a normalized pool, or null to drop the record
+ *   endpoints      - optional { id: label } map shown in the source health panel
+ */
+const dataSourceAdapters = new Map();
+
+/**
+ * Adds a data source adapter to the registry.
+ */
+function registerDataSourceAdapter(adapter) {
+    const missing = ['name', 'rank', 'fetch', 'normalize'].filter(key => adapter[key] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Data source adapter is missing: ${missing.join(', ')}`);
+    }
+
+    Object.assign(SOURCE_ENDPOINT_LABELS, adapter.endpoints || {});
+    dataSourceAdapters.set(adapter.name, adapter);
+    logMessage(`Registered data source: ${adapter.name} (rank ${adapter.rank}).`, 'info');
+}
+
+/**
+ * Returns enabled adapters ordered by rank.
+ */
+function getDataSourceAdapters() {
+    return [...dataSourceAdapters.values()]
+        .filter(adapter => CONFIG.DATA_SOURCES[adapter.name]?.enabled !== false)
+        .sort((a, b) => a.rank - b.rank);
+}
+
+registerDataSourceAdapter({
+    name: 'GeckoTerminal',
+    rank: CONFIG.DATA_SOURCES.GeckoTerminal.rank,
+    endpoints: {
+        'gt-chain': 'GeckoTerminal chains',
+        'gt-search': 'GeckoTerminal search',
+        'gt-ohlcv': 'GeckoTerminal history'
+    },
+    fetch: fetchGeckoTerminalPools,
+    normalize: normalizeGeckoTerminalPool
+});
+
+registerDataSourceAdapter({
+    name: 'DexScreener',
+    rank: CONFIG.DATA_SOURCES.DexScreener.rank,
+    endpoints: {
+        'dexscreener': 'DexScreener'
+    },
+    fetch: fetchDexScreenerPools,
+    normalize: normalizeDexScreenerPool
+});
+
+// =================================================================
+// CROSS-SOURCE RECONCILIATION
+// =================================================================
+
+// Fields filled from the best-ranked source that has a value
+const RECONCILED_FIELDS = ['name', 'liquidityUsd', 'volumeUsd24h', 'volumeUsd', 'transactions24h', 'priceChangePct', 'dexId', 'protocol', 'protocolLabel', 'ammType', 'poolUrl'];
+
+/**
+ * Builds the reconciliation key for a pool: chain plus pool address.
+ * EVM addresses are case-insensitive; other chains keep their casing.
+ */
+function getPoolKey(chain, address) {
+    const normalizedAddress = /^0x[0-9a-f]+$/i.test(address || '') ? address.toLowerCase() : address;
+    return `${chain}:${normalizedAddress}`;
+}
+
+/**
+ * Returns true if a field value is usable for reconciliation.
+ */
+function hasReconciledValue(value) {
+    return value !== null && value !== undefined && value !== '' && value !== 0;
+}
+
+/**
+ * Returns the relative difference between two values, as a percentage of the larger.
+ */
+function getPercentDifference(a, b) {
+    const larger = Math.max(Math.abs(a), Math.abs(b));
+    if (larger === 0) return 0;
+    return (Math.abs(a - b) / larger) * 100;
+}
+
+/**
+ * Merges the records from different sources for one pool.
+ * Each field comes from the best-ranked source that has a value; the
+ * other sources' values are kept in sourceValues for comparison.
+ */
+function reconcilePoolRecords(key, records) {
+    const ranked = [...records].sort((a, b) => a.sourceRank - b.sourceRank);
+    const merged = { ...ranked[0], id: key };
+
+    for (const field of RECONCILED_FIELDS) {
+        const best = ranked.find(record => hasReconciledValue(record[field]));
+        if (best) merged[field] = best[field];
+    }
+
+    // The fee comes from the record with the best provenance; ties go to source rank
+    const feeRecord = [...ranked].sort((a, b) => FEE_SOURCES.indexOf(a.feeSource) - FEE_SOURCES.indexOf(b.feeSource))[0];
+    merged.feeTier = feeRecord.feeTier;
+    merged.feeSource = feeRecord.feeSource;
+    merged.feeDynamic = feeRecord.feeDynamic;
+
+    merged.sources = ranked.map(record => record.source);
+    merged.sourceValues = {};
+    for (const record of ranked) {
+        merged.sourceValues[record.source] = {
+            liquidityUsd: record.liquidityUsd,
+            volumeUsd24h: record.volumeUsd24h,
+            feeTier: record.feeTier
+        };
+    }
+
+    merged.discrepancy = null;
+    if (ranked.length > 1) {
+        const threshold = CONFIG.SOURCE_DISCREPANCY_THRESHOLD_PERCENT;
+        let liquidityPct = 0;
+        let volumePct = 0;
+
+        for (const record of ranked.slice(1)) {
+            liquidityPct = Math.max(liquidityPct, getPercentDifference(merged.liquidityUsd, record.liquidityUsd));
+            volumePct = Math.max(volumePct, getPercentDifference(merged.volumeUsd24h, record.volumeUsd24h));
+        }
+
+        merged.discrepancy = {
+            liquidityPct: liquidityPct,
+            volumePct: volumePct,
+            flagged: liquidityPct > threshold || volumePct > threshold
+        };
+    }
+
+    return merged;
+}
+
+// =================================================================
+// VALIDATION & SCORING
+// =================================================================
+
+/**
+ * Validates a pool object against project constraints.
+ */
+function validatePool(pool) {
+    if (!pool.id || !pool.name || !pool.baseAsset || !pool.pairType) return false;
+    if (typeof pool.liquidityUsd !== 'number' || typeof pool.volumeUsd24h !== 'number') return false;
+    if (pool.liquidityUsd < CONFIG.MIN_LIQUIDITY) return false;
+    if (pool.volumeUsd24h < CONFIG.MIN_VOLUME_24H) return false;
+    if (pool.liquidityUsd <= 0) return false;
+    return true;
+}
+
+/**
+ * Filters pools to only include valid ones.
+ */
+function filterPools(pools) {
+    const validPools = pools.filter(pool => validatePool(pool));
+    logMessage(`Filtered to ${validPools.length} valid pools.`, 'info');
+    return validPools;
+}
+
+/**
+ * Returns a pool's USD volume over the given window, or null if unknown.
+ */
+function getWindowVolume(pool, windowKey) {
+    const volume = pool.volumeUsd?.[windowKey];
+    if (typeof volume === 'number') return volume;
+    return windowKey === 'h24' ? pool.volumeUsd24h : null;
+}
+
+/**
+ * Scales a pool's window volume to a 24h equivalent.
+ */
+function getDailyEquivalentVolume(pool, windowKey) {
+    const volume = getWindowVolume(pool, windowKey);
+    if (volume === null) return null;
+    return volume * (24 / CONFIG.VOLUME_WINDOWS[windowKey].hours);
+}
+
+/**
+ * Calculates the Liquidity Turnover Ratio for a pool, as daily-equivalent
+ * volume over liquidity for the given window. Null if the window is unknown.
+ */
+function calculateTurnoverScore(pool, windowKey = 'h24') {
+    if (pool.liquidityUsd <= 0) return 0;
+    const dailyVolume = getDailyEquivalentVolume(pool, windowKey);
+    return dailyVolume === null ? null : dailyVolume / pool.liquidityUsd;
+}
+
+/**
+ * Returns the time a window covers, in hours (history windows span several days).
+ */
+function getWindowSpanHours(windowKey) {
+    const window = CONFIG.VOLUME_WINDOWS[windowKey];
+    return window.history ? window.history * 24 : window.hours;
+}
+
+/**
+ * Impermanent loss (%) of a 50/50 constant-product position after the
+ * price ratio moves by `ratio`: 2√r / (1 + r) − 1.
+ */
+function calculateImpermanentLoss(ratio) {
+    if (!(ratio > 0)) return null;
+    return (2 * Math.sqrt(ratio) / (1 + ratio) - 1) * 100;
+}
+
+/**
+ * Estimates fee APR net of impermanent loss realised over a window.
+ * IL is annualised linearly like fees; for a random walk IL grows with
+ * variance, which grows linearly with time. Concentrated pools use the
+ * full-range IL, so their figure is an upper bound. Other AMM designs
+ * have different curves and return null.
+ */
+function calculateNetApr(pool, apr, windowKey) {
+    const empty = { netApr: null, ilPct: null, netAprUpperBound: false };
+    if (apr === null) return empty;
+    if (pool.ammType !== 'constant-product' && pool.ammType !== 'concentrated') return empty;
+
+    const priceChange = pool.priceChangePct?.[windowKey];
+    if (typeof priceChange !== 'number') return empty;
+
+    const ilPct = calculateImpermanentLoss(1 + priceChange / 100);
+    if (ilPct === null) return empty;
+
+    const periodsPerYear = (365 * 24) / getWindowSpanHours(windowKey);
+    return {
+        netApr: apr + ilPct * periodsPerYear,
+        ilPct: ilPct,
+        netAprUpperBound: pool.ammType === 'concentrated'
+    };
+}
+
+// Composite score components, each normalised to 0-1
+const SCORE_COMPONENTS = {
+    turnover: 'Turnover',
+    liquidity: 'Liquidity depth',
+    apr: 'Fee APR',
+    chainConfidence: 'Chain confidence',
+    sourceAgreement: 'Source agreement'
+};
+
+// Weights in use; start from CONFIG.SCORING.WEIGHTS and can be changed in the UI
+const scoreWeights = { ...CONFIG.SCORING.WEIGHTS };
+
+/**
+ * Returns the confidence component for a chain.
+ */
+function getChainConfidence(chain) {
+    const levels = CONFIG.SCORING.CHAIN_CONFIDENCE;
+    if (CONFIG.HIGH_CONFIDENCE_CHAINS.includes(chain)) return levels.high;
+    if (CONFIG.MEDIUM_CONFIDENCE_CHAINS.includes(chain)) return levels.medium;
+    return levels.other;
+}
+
+/**
+ * Returns how well the sources reporting a pool agree: 1 for identical
+ * figures, falling with the largest liquidity/volume difference.
+ */
+function getSourceAgreement(pool) {
+    if (!pool.sources || pool.sources.length < 2 || !pool.discrepancy) {
+        return CONFIG.SCORING.SINGLE_SOURCE_AGREEMENT;
+    }
+    const difference = Math.max(pool.discrepancy.liquidityPct, pool.discrepancy.volumePct);
+    return Math.max(0, 1 - difference / 100);
+}
+
+/**
+ * Returns a function mapping values onto 0-1 across a section. A log scale
+ * keeps one outlier from flattening everyone else; missing values map to 0
+ * and values outside the section's range are clamped.
+ */
+function createLogNormalizer(values) {
+    const logs = values.filter(value => typeof value === 'number' && value > 0).map(Math.log1p);
+    const min = Math.min(...logs);
+    const max = Math.max(...logs);
+
+    return value => {
+        if (typeof value !== 'number' || value <= 0 || logs.length === 0) return 0;
+        if (max === min) return 1;
+        return Math.min(1, Math.max(0, (Math.log1p(value) - min) / (max - min)));
+    };
+}
+
+/**
+ * Adds the weighted composite score (0-100) and its per-component breakdown.
+ * Turnover, liquidity and APR are normalised over referencePools.
+ */
+function applyCompositeScores(pools, referencePools = pools) {
+    const normalizeTurnover = createLogNormalizer(referencePools.map(pool => pool.score));
+    const normalizeLiquidity = createLogNormalizer(referencePools.map(pool => pool.liquidityUsd));
+    const normalizeApr = createLogNormalizer(referencePools.map(pool => pool.apr));
+    const totalWeight = Object.keys(SCORE_COMPONENTS).reduce((sum, key) => sum + (scoreWeights[key] || 0), 0);
+
+    return pools.map(pool => {
+        const values = {
+            turnover: normalizeTurnover(pool.score),
+            liquidity: normalizeLiquidity(pool.liquidityUsd),
+            apr: normalizeApr(pool.apr),
+            chainConfidence: getChainConfidence(pool.chain),
+            sourceAgreement: getSourceAgreement(pool)
+        };
+
+        const scoreBreakdown = {};
+        let compositeScore = 0;
+        for (const key in SCORE_COMPONENTS) {
+            const weight = totalWeight > 0 ? (scoreWeights[key] || 0) / totalWeight : 0;
+            const points = values[key] * weight * 100;
+            scoreBreakdown[key] = { value: values[key], weight: weight, points: points };
+            compositeScore += points;
+        }
+
+        return { ...pool, compositeScore: compositeScore, scoreBreakdown: scoreBreakdown };
+    });
+}
+
+/**
+ * Scores pools over a volume window (turnover, APR, net APR) and ranks
+ * them by composite score.
+ */
+function scoreAndRankPools(pools, windowKey = 'h24') {
+    const scoredPools = pools.map(pool => {
+        const score = calculateTurnoverScore(pool, windowKey);
+        const effectiveFee = getEffectiveFee(pool);
+        const dailyVolume = getDailyEquivalentVolume(pool, windowKey);
+        const apr = dailyVolume === null ? null : calculateApr(dailyVolume, pool.liquidityUsd, effectiveFee);
+
+        return {
+            ...pool,
+            ...calculateNetApr(pool, apr, windowKey),
+            windowVolumeUsd: getWindowVolume(pool, windowKey),
+            score: score,
+            apr: apr
+        };
+    });
+
+    // With "hide suspicious pools" on, flagged pools neither set the
+    // normalisation range nor take ranks from other pools
+    const rankedPools = applyCompositeScores(scoredPools, scoredPools.filter(pool => !isExcludedFromRanking(pool)));
+    rankedPools.sort((a, b) => {
+        if (isExcludedFromRanking(a) !== isExcludedFromRanking(b)) return isExcludedFromRanking(a) ? 1 : -1;
+        if (b.compositeScore !== a.compositeScore) return b.compositeScore - a.compositeScore;
+        return b.liquidityUsd - a.liquidityUsd;
+    });
+
+    return rankedPools;
+}
+
+/**
+ * Categorizes pools by pair type and ranks each category over a volume window.
+ */
+function categorizePools(pools, windowKey = 'h24') {
+    const categories = {};
+    for (const category of getPairCategories()) {
+        categories[category.id] = [];
+    }
+
+    for (const pool of pools) {
+        if (categories[pool.pairType]) {
+            categories[pool.pairType].push(pool);
+        }
+    }
+
+    for (const category of getPairCategories()) {
+        let pools = categories[category.id];
+        if (category.pegMonitor) {
+            pools = pools.map(applyPegMonitor);
+        }
+        categories[category.id] = scoreAndRankPools(detectAnomalies(pools), windowKey);
+    }
+
+    return categories;
+}
+
+// =================================================================
+// ANOMALY DETECTION
+// =================================================================
+
+/**
+ * Returns true if a pool is left out of scoring and ranking: it is flagged
+ * and suspicious pools are hidden.
+ */
+function isExcludedFromRanking(pool) {
+    return viewFilters.hideFlagged && Boolean(pool.anomaly?.flagged);
+}
+
+/**
+ * Returns the median of a list of numbers, or null if it is empty.
+ */
+function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Checks behind the suspicion score. `check` returns a reason, or null when
+// the pool looks normal or the data is missing. Turnover here is always 24h.
+const ANOMALY_CHECKS = [
+    {
+        points: 40,
+        check: (pool, context) => context.turnover > CONFIG.ANOMALY_DETECTION.MAX_TURNOVER
+            ? `24h turnover ${context.turnover.toFixed(1)} is above ${CONFIG.ANOMALY_DETECTION.MAX_TURNOVER}`
+            : null
+    },
+    {
+        points: 25,
+        check: (pool, context) => context.sectionMedian > 0
+            && context.turnover > context.sectionMedian * CONFIG.ANOMALY_DETECTION.SECTION_OUTLIER_MULTIPLE
+            ? `Turnover is ${(context.turnover / context.sectionMedian).toFixed(0)}× the section median`
+            : null
+    },
+    {
+        points: 20,
+        check: (pool, context) => context.txCount !== null && context.turnover > 1
+            && context.txCount < CONFIG.ANOMALY_DETECTION.MIN_TRANSACTIONS_24H
+            ? `Only ${context.txCount} swaps behind ${formatUsdCompact(pool.volumeUsd24h)} volume`
+            : null
+    },
+    {
+        points: 20,
+        check: (pool, context) => context.avgTradeUsd !== null
+            && context.avgTradeUsd > pool.liquidityUsd * CONFIG.ANOMALY_DETECTION.MAX_AVG_TRADE_TO_LIQUIDITY
+            ? `Average swap ${formatUsdCompact(context.avgTradeUsd)} is ${((context.avgTradeUsd / pool.liquidityUsd) * 100).toFixed(1)}% of liquidity`
+            : null
+    },
+    {
+        points: 25,
+        check: (pool, context) => context.uniqueTraders !== null && context.txCount > 0
+            && context.uniqueTraders < CONFIG.ANOMALY_DETECTION.MIN_UNIQUE_TRADERS_24H
+            ? `Only ${context.uniqueTraders} unique buyers/sellers`
+            : null
+    },
+    {
+        points: 15,
+        check: (pool, context) => context.flowImbalance !== null
+            && context.flowImbalance > CONFIG.ANOMALY_DETECTION.MAX_FLOW_IMBALANCE
+            ? `One-sided flow: ${pool.transactions24h.buys} buys / ${pool.transactions24h.sells} sells`
+            : null
+    }
+];
+
+/**
+ * Builds the inputs the anomaly checks share for one pool.
+ */
+function getAnomalyContext(pool, sectionMedian) {
+    const txns = pool.transactions24h;
+    const hasCounts = txns && txns.buys !== null && txns.sells !== null;
+    const txCount = hasCounts ? txns.buys + txns.sells : null;
+    const hasTraders = txns && txns.buyers !== null && txns.sellers !== null;
+
+    return {
+        turnover: calculateTurnoverScore(pool, 'h24'),
+        sectionMedian: sectionMedian,
+        txCount: txCount,
+        avgTradeUsd: txCount > 0 ? pool.volumeUsd24h / txCount : null,
+        uniqueTraders: hasTraders ? txns.buyers + txns.sellers : null,
+        flowImbalance: txCount > 0 ? Math.abs(txns.buys - txns.sells) / txCount : null
+    };
+}
+
+/**
+ * Scores every pool in a section for wash trading or single-bot activity
+ * and flags those at or above the threshold.
+ */
+function detectAnomalies(pools) {
+    const sectionMedian = getMedian(pools.map(pool => calculateTurnoverScore(pool, 'h24')));
+
+    return pools.map(pool => {
+        const context = getAnomalyContext(pool, sectionMedian);
+        const reasons = [];
+        let suspicionScore = 0;
+
+        for (const { points, check } of ANOMALY_CHECKS) {
+            const reason = check(pool, context);
+            if (reason) {
+                reasons.push(reason);
+                suspicionScore += points;
+            }
+        }
+
+        suspicionScore = Math.min(100, suspicionScore);
+        return {
+            ...pool,
+            anomaly: {
+                score: suspicionScore,
+                reasons: reasons,
+                flagged: suspicionScore >= CONFIG.ANOMALY_DETECTION.FLAG_THRESHOLD
+            }
+        };
+    });
+}
+
+// =================================================================
+// POOL HISTORY (OHLCV)
+// =================================================================
+
+// Per-pool history summaries keyed by pool id: { fetchedAt, summary }.
+// Kept apart from dataCache so a manual refresh does not refetch history.
+const poolHistoryCache = new Map();
+let poolHistoryLoadInProgress = false;
+
+/**
+ * Returns true if GeckoTerminal can serve OHLCV history for the pool.
+ */
+function canFetchPoolHistory(pool) {
+    return Boolean(CONFIG.CHAIN_TO_GECKO_ID[pool.chain] && pool.address);
+}
+
+/**
+ * Fetches daily candles for a pool from GeckoTerminal, newest first.
+ * Resolves to [{ timestamp, close, volumeUsd }] or null.
+ */
+async function fetchGeckoTerminalPoolHistory(pool) {
+    if (!canFetchPoolHistory(pool)) return null;
+    const network = CONFIG.CHAIN_TO_GECKO_ID[pool.chain];
+
+    const url = `${CONFIG.DATA_SOURCES.GeckoTerminal.baseUrl}/networks/${network}/pools/${pool.address}/ohlcv/day?limit=${CONFIG.POOL_HISTORY.DAYS}`;
+    const data = await fetchWithRetry(url, { source: 'GeckoTerminal', endpoint: 'gt-ohlcv', priority: REQUEST_PRIORITY.LOW });
+    const candles = data?.data?.attributes?.ohlcv_list;
+    if (!Array.isArray(candles)) return null;
+
+    // Candle format: [timestamp (s), open, high, low, close, volume (USD)]
+    return candles
+        .map(candle => ({
+            timestamp: candle[0] * 1000,
+            close: parseFloat(candle[4]) || null,
+            volumeUsd: parseFloat(candle[5]) || 0
+        }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Averages daily volume for each history window. Today's candle is still
+ * open, so only completed days are used for volume; the price change runs
+ * from the close N days ago to the latest close.
+ */
+function summarizePoolHistory(candles) {
+    const startOfToday = new Date().setUTCHours(0, 0, 0, 0);
+    const completeDays = candles.filter(candle => candle.timestamp < startOfToday);
+    const averages = {};
+    const priceChanges = {};
+
+    for (const windowKey in CONFIG.VOLUME_WINDOWS) {
+        const days = CONFIG.VOLUME_WINDOWS[windowKey].history;
+        if (!days) continue;
+        const recent = completeDays.slice(0, days);
+        averages[windowKey] = recent.length > 0
+            ? recent.reduce((sum, candle) => sum + candle.volumeUsd, 0) / recent.length
+            : null;
+
+        const latest = candles[0]?.close;
+        const past = candles[Math.min(days, candles.length - 1)]?.close;
+        priceChanges[windowKey] = latest && past && candles.length > 1 ? (latest / past - 1) * 100 : null;
+    }
+
+    return { averages: averages, priceChanges: priceChanges, days: completeDays.length };
+}
+
+/**
+ * Returns true if a pool's history was fetched recently. Failed fetches
+ * are retried after one refresh interval rather than on every render.
+ */
+function isPoolHistoryFresh(poolId) {
+    const entry = poolHistoryCache.get(poolId);
+    if (!entry) return false;
+    const ttl = entry.summary ? CONFIG.POOL_HISTORY.CACHE_TTL_MS : CONFIG.UPDATE_INTERVAL_MS;
+    return Date.now() - entry.fetchedAt < ttl;
+}
+
+/**
+ * Adds cached history windows and the 24h / 7d consistency ratio to a pool.
+ */
+function applyPoolHistory(pool) {
+    const summary = poolHistoryCache.get(pool.id)?.summary;
+    if (!summary) {
+        return { ...pool, historyDays: 0, consistencyRatio: null };
+    }
+
+    const average7d = summary.averages.d7;
+    return {
+        ...pool,
+        volumeUsd: { ...pool.volumeUsd, ...summary.averages },
+        priceChangePct: { ...pool.priceChangePct, ...summary.priceChanges },
+        historyDays: summary.days,
+        consistencyRatio: average7d > 0 ? pool.volumeUsd24h / average7d : null
+    };
+}
+
+/**
+ * Loads missing history for up to MAX_POOLS_PER_REFRESH of the most liquid
+ * pools GeckoTerminal has OHLCV for, in the background, then re-scores the loaded pools with it. Called
+ * once per refresh; the re-score does not fetch more.
+ */
+async function loadPoolHistories(pools) {
+    if (!CONFIG.POOL_HISTORY.ENABLED || poolHistoryLoadInProgress) return;
+
+    const pending = pools
+        .filter(pool => canFetchPoolHistory(pool) && !isPoolHistoryFresh(pool.id))
+        .sort((a, b) => b.liquidityUsd - a.liquidityUsd)
+        .slice(0, CONFIG.POOL_HISTORY.MAX_POOLS_PER_REFRESH);
+    if (pending.length === 0) return;
+
+    poolHistoryLoadInProgress = true;
+    try {
+        const results = await Promise.all(pending.map(async pool => {
+            const candles = await fetchGeckoTerminalPoolHistory(pool);
+            poolHistoryCache.set(pool.id, {
+                fetchedAt: Date.now(),
+                summary: candles ? summarizePoolHistory(candles) : null
+            });
+            return Boolean(candles);
+        }));
+
+        const loaded = results.filter(Boolean).length;
+        logMessage(`Loaded OHLCV history for ${loaded}/${pending.length} pools.`, 'info');
+        // A refresh in progress picks the new history up itself
+        if (loaded > 0 && !refreshInProgress) {
+            for (const sectionId in currentCategorizedPools) {
+                currentCategorizedPools[sectionId] = currentCategorizedPools[sectionId].map(applyPoolHistory);
+            }
+            rescoreAllSections();
+        }
+    } finally {
+        poolHistoryLoadInProgress = false;
+    }
+}
+
+// =================================================================
+// SNAPSHOT STORE (INDEXEDDB)
+// =================================================================
+
+// One record per pool per snapshot: { poolId, takenAt, liquidityUsd, volumeUsd24h, turnover, apr }
+const SNAPSHOT_STORE = 'poolSnapshots';
+let snapshotDbPromise = null;
+let lastSnapshotAt = 0;
+
+/**
+ * Resolves with the result of an IndexedDB request.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when an IndexedDB transaction commits.
+ */
+function waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Opens (and on first use creates) the snapshot database.
+ */
+function openSnapshotDb() {
+    if (!snapshotDbPromise) {
+        snapshotDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.SNAPSHOTS.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(SNAPSHOT_STORE, { autoIncrement: true });
+                store.createIndex('poolId', 'poolId');
+                store.createIndex('takenAt', 'takenAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return snapshotDbPromise;
+}
+
+/**
+ * Builds the stored record for a pool. Metrics use the 24h window so
+ * snapshots stay comparable whatever window is selected.
+ */
+function createSnapshotRecord(pool, takenAt) {
+    const effectiveFee = getEffectiveFee(pool);
+    return {
+        poolId: pool.id,
+        takenAt: takenAt,
+        liquidityUsd: pool.liquidityUsd,
+        volumeUsd24h: pool.volumeUsd24h,
+        turnover: calculateTurnoverScore(pool, 'h24'),
+        apr: calculateApr(pool.volumeUsd24h, pool.liquidityUsd, effectiveFee)
+    };
+}
+
+/**
+ * Deletes records from an index cursor, oldest first, up to a limit.
+ */
+function deleteFromCursor(index, range, limit) {
+    return new Promise((resolve, reject) => {
+        let deleted = 0;
+        const request = index.openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || deleted >= limit) {
+                resolve(deleted);
+                return;
+            }
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Removes snapshots past the retention period, then the oldest rows over the size limit.
+ */
+async function pruneSnapshots() {
+    const db = await openSnapshotDb();
+    const cutoff = Date.now() - CONFIG.SNAPSHOTS.RETENTION_DAYS * 86400000;
+
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite');
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    const expired = await deleteFromCursor(store.index('takenAt'), IDBKeyRange.upperBound(cutoff, true), Infinity);
+    const count = await promisifyRequest(store.count());
+    const excess = Math.max(0, count - CONFIG.SNAPSHOTS.MAX_RECORDS);
+    const trimmed = excess > 0 ? await deleteFromCursor(store.index('takenAt'), null, excess) : 0;
+    await waitForTransaction(transaction);
+
+    if (expired + trimmed > 0) {
+        logMessage(`Pruned ${expired + trimmed} snapshot records.`, 'info');
+    }
+}
+
+/**
+ * Stores the current pools as a snapshot and applies retention. Renders
+ * made while stale cache entries are revalidating are skipped; the
+ * revalidated render saves instead.
+ */
+async function saveSnapshot(pools) {
+    if (!CONFIG.SNAPSHOTS.ENABLED || pools.length === 0) return;
+    if (isCacheRevalidating()) return;
+
+    const takenAt = Date.now();
+    if (takenAt - lastSnapshotAt < CONFIG.SNAPSHOTS.MIN_INTERVAL_MS) return;
+    lastSnapshotAt = takenAt;
+
+    const db = await openSnapshotDb();
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite');
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    for (const pool of pools) {
+        store.add(createSnapshotRecord(pool, takenAt));
+    }
+    await waitForTransaction(transaction);
+    logMessage(`Saved snapshot of ${pools.length} pools.`, 'info');
+
+    await pruneSnapshots();
+}
+
+/**
+ * Returns a pool's stored snapshots, oldest first.
+ */
+async function getPoolSnapshots(poolId) {
+    const db = await openSnapshotDb();
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readonly');
+    const records = await promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).index('poolId').getAll(poolId));
+    return records.sort((a, b) => a.takenAt - b.takenAt);
+}
+
+// =================================================================
+// REFRESH TRENDS
+// =================================================================
+
+// Categorized pools from the previous refresh, the baseline for trends
+let trendBaselinePools = null;
+// Pools that left each section since the previous refresh
+let droppedPoolsBySection = {};
+// Recent 24h turnover per pool id, one point per refresh
+const turnoverHistory = new Map();
+
+/**
+ * Records each pool's 24h turnover. A re-render within the same refresh
+ * replaces the latest point instead of adding one.
+ */
+function recordTurnoverHistory(pools, isRefresh) {
+    for (const pool of pools) {
+        const history = turnoverHistory.get(pool.id) || [];
+        const turnover = calculateTurnoverScore(pool, 'h24');
+        if (isRefresh || history.length === 0) {
+            history.push(turnover);
+        } else {
+            history[history.length - 1] = turnover;
+        }
+        turnoverHistory.set(pool.id, history.slice(-CONFIG.TRENDS.SPARKLINE_POINTS));
+    }
+}
+
+/**
+ * Compares a section's ranked pools with the baseline for that section.
+ * The baseline is re-scored over the same window so ranks are comparable.
+ */
+function calculateSectionTrends(pools, baselinePools, windowKey) {
+    if (!baselinePools) {
+        return { pools: pools.map(pool => ({ ...pool, trend: null, rankDelta: null })), dropped: [] };
+    }
+
+    const baselineRanked = scoreAndRankPools(baselinePools, windowKey);
+    const baselineById = new Map(baselineRanked.map((pool, index) => [pool.id, { pool: pool, rank: index + 1 }]));
+    const currentIds = new Set(pools.map(pool => pool.id));
+
+    const trendedPools = pools.map((pool, index) => {
+        const previous = baselineById.get(pool.id);
+        if (!previous) {
+            return { ...pool, trend: { isNew: true }, rankDelta: null };
+        }
+
+        const rank = index + 1;
+        const hasScores = pool.score !== null && previous.pool.score !== null;
+        return {
+            ...pool,
+            rankDelta: previous.rank - rank,
+            trend: {
+                isNew: false,
+                rank: rank,
+                previousRank: previous.rank,
+                rankDelta: previous.rank - rank,
+                scoreDelta: hasScores ? pool.score - previous.pool.score : null,
+                liquidityDeltaPct: previous.pool.liquidityUsd > 0
+                    ? (pool.liquidityUsd / previous.pool.liquidityUsd - 1) * 100
+                    : null
+            }
+        };
+    });
+
+    return {
+        pools: trendedPools,
+        dropped: baselineRanked.filter(pool => !currentIds.has(pool.id))
+    };
+}
+
+/**
+ * Adds trend data to every section and records which pools dropped out.
+ */
+function applyTrends(categorizedPools, windowKey) {
+    const trended = {};
+    droppedPoolsBySection = {};
+
+    for (const sectionId in categorizedPools) {
+        const baseline = trendBaselinePools ? trendBaselinePools[sectionId] || [] : null;
+        const result = calculateSectionTrends(categorizedPools[sectionId], baseline, windowKey);
+        trended[sectionId] = result.pools;
+        droppedPoolsBySection[sectionId] = result.dropped;
+    }
+
+    return trended;
+}
+
+// =================================================================
+// PEG MONITOR
+// =================================================================
+
+/**
+ * Returns the expected underlying units per token, or null if unknown.
+ * Yield-bearing tokens need a configured redemption rate; others are 1:1.
+ */
+function getExpectedTokenRate(token) {
+    const rates = CONFIG.PEG_MONITOR.REDEMPTION_RATES;
+    if (rates[token.key] !== undefined) return rates[token.key];
+    if (token.tags.includes('yield-bearing')) return null;
+    return 1;
+}
+
+/**
+ * Adds the implied exchange rate and its deviation from the expected rate.
+ * The implied rate is quote tokens per base token, from both tokens' USD prices.
+ */
+function applyPegMonitor(pool) {
+    const { baseToken, quoteToken } = pool;
+    if (!baseToken?.priceUsd || !quoteToken?.priceUsd) {
+        return { ...pool, peg: null, pegDeviationBps: null };
+    }
+
+    const impliedRate = baseToken.priceUsd / quoteToken.priceUsd;
+    const baseRate = getExpectedTokenRate(baseToken);
+    const quoteRate = getExpectedTokenRate(quoteToken);
+    const expectedRate = baseRate !== null && quoteRate !== null ? baseRate / quoteRate : null;
+
+    let deviationBps = null;
+    if (expectedRate) {
+        deviationBps = (impliedRate / expectedRate - 1) * 10000;
+    }
+
+    return {
+        ...pool,
+        peg: {
+            impliedRate: impliedRate,
+            expectedRate: expectedRate,
+            deviationBps: deviationBps,
+            depegged: deviationBps !== null && Math.abs(deviationBps) > CONFIG.PEG_MONITOR.DEPEG_THRESHOLD_BPS
+        },
+        pegDeviationBps: deviationBps !== null ? Math.abs(deviationBps) : null
+    };
+}
+
+// =================================================================
+// PRICE IMPACT
+// =================================================================
+
+/**
+ * Estimates the price impact (%) of swapping tradeSizeUsd through a pool.
+ * Constant-product: selling Δ into a reserve x (half the liquidity) executes
+ * Δ / (x + Δ) below spot. Correlated StableSwap pools divide that by the
+ * amplification factor. Concentrated pools are usually deeper near the
+ * price than full-range, so their figure is an upper bound.
+ */
+function estimatePriceImpact(pool, tradeSizeUsd) {
+    if (!(tradeSizeUsd > 0) || !(pool.liquidityUsd > 0)) return null;
+
+    const reserveUsd = pool.liquidityUsd / 2;
+    const constantProductImpact = (tradeSizeUsd / (reserveUsd + tradeSizeUsd)) * 100;
+
+    if (pool.ammType === 'stableswap' && isCorrelatedPair(pool)) {
+        return { impactPct: constantProductImpact / CONFIG.PRICE_IMPACT.STABLESWAP_AMPLIFICATION, model: 'stableswap' };
+    }
+    return {
+        impactPct: constantProductImpact,
+        model: pool.ammType === 'concentrated' ? 'concentrated' : 'constant-product'
+    };
+}
+
+/**
+ * Sets price impact and total execution cost (impact plus fee) on every
+ * loaded pool for the given trade size.
+ */
+function applyPriceImpact(categorizedPools, tradeSizeUsd) {
+    for (const sectionId in categorizedPools) {
+        for (const pool of categorizedPools[sectionId]) {
+            const estimate = estimatePriceImpact(pool, tradeSizeUsd);
+            pool.priceImpactPct = estimate ? estimate.impactPct : null;
+            pool.priceImpactModel = estimate ? estimate.model : null;
+            pool.executionCostPct = estimate ? estimate.impactPct + getEffectiveFee(pool) : null;
+        }
+    }
+}
+
+// =================================================================
+// LP SIMULATOR
+// =================================================================
+
+/**
+ * Projects a deposit into a pool over a holding period for one price move.
+ * The deposit joins existing liquidity, so it earns D / (L + D) of the fees
+ * at the pool's current daily-equivalent volume. IL uses the constant-product
+ * curve with the quote token flat in USD.
+ */
+function simulateLpPosition(pool, depositUsd, days, priceMovePct, windowKey) {
+    const dailyVolume = getDailyEquivalentVolume(pool, windowKey) ?? pool.volumeUsd24h;
+    const share = depositUsd / (pool.liquidityUsd + depositUsd);
+    const feesUsd = dailyVolume * (getEffectiveFee(pool) / 100) * share * days;
+
+    // 50/50 deposit: only the base half moves with the price
+    const hodlValue = depositUsd * (1 + priceMovePct / 200);
+    const ilPct = calculateImpermanentLoss(1 + priceMovePct / 100) ?? -100;
+    const lpValue = hodlValue * (1 + ilPct / 100);
+
+    return {
+        priceMovePct: priceMovePct,
+        share: share,
+        feesUsd: feesUsd,
+        hodlValue: hodlValue,
+        lpValue: lpValue,
+        ilPct: ilPct,
+        ilUsd: lpValue - hodlValue,
+        netPnl: lpValue + feesUsd - depositUsd,
+        vsHodl: lpValue + feesUsd - hodlValue
+    };
+}
+
+/**
+ * Parses a comma-separated list of price moves (%), keeping values above -100%.
+ */
+function parsePriceScenarios(text) {
+    const moves = String(text)
+        .split(/[,\s]+/)
+        .map(value => parseFloat(value))
+        .filter(value => Number.isFinite(value) && value > -100);
+    return [...new Set(moves)].sort((a, b) => a - b);
+}
+
+// =================================================================
+// WATCHLIST
+// =================================================================
+
+const WATCHLIST_SECTION = { id: 'watchlist', label: 'Watchlist', color: '#f5c542' };
+
+// Pinned pools by getPoolKey(). Entries keep the last seen name and section
+// so pools the sources stop returning can still be listed.
+const watchlist = loadWatchlist();
+
+// Pools from the latest fetch that failed validation, by getPoolKey()
+let belowThresholdPools = new Map();
+
+/**
+ * Reads the watchlist from localStorage.
+ */
+function loadWatchlist() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.WATCHLIST.STORAGE_KEY)) || {};
+    } catch (error) {
+        logMessage(`Could not read the watchlist: ${error.message}`, 'warn');
+        return {};
+    }
+}
+
+/**
+ * Writes the watchlist to localStorage.
+ */
+function saveWatchlist() {
+    try {
+        localStorage.setItem(CONFIG.WATCHLIST.STORAGE_KEY, JSON.stringify(watchlist));
+    } catch (error) {
+        logMessage(`Could not save the watchlist: ${error.message}`, 'warn');
+    }
+}
+
+/**
+ * Returns true if a pool is pinned.
+ */
+function isPinned(pool) {
+    return getPoolKey(pool.chain, pool.address) in watchlist;
+}
+
+/**
+ * Pins or unpins a pool and re-renders.
+ */
+function toggleWatchlist(pool, sectionId) {
+    const key = getPoolKey(pool.chain, pool.address);
+    if (key in watchlist) {
+        delete watchlist[key];
+    } else {
+        watchlist[key] = {
+            chain: pool.chain,
+            address: pool.address,
+            name: pool.name,
+            sectionId: sectionId,
+            lastSeen: Date.now()
+        };
+    }
+    saveWatchlist();
+    renderAllSections(currentCategorizedPools);
+}
+
+/**
+ * Keeps the stored name, section and last-seen time of pinned pools
+ * current. Called after each fetch with the pools that failed validation.
+ */
+function updateWatchlistEntries(normalizedPools) {
+    belowThresholdPools = new Map(normalizedPools
+        .filter(pool => !validatePool(pool))
+        .map(pool => [getPoolKey(pool.chain, pool.address), applyPoolHistory(pool)]));
+
+    const now = Date.now();
+    for (const sectionId in currentCategorizedPools) {
+        for (const pool of currentCategorizedPools[sectionId]) {
+            const entry = watchlist[getPoolKey(pool.chain, pool.address)];
+            if (entry) Object.assign(entry, { name: pool.name, sectionId: sectionId, lastSeen: now });
+        }
+    }
+    for (const [key, pool] of belowThresholdPools) {
+        if (watchlist[key]) Object.assign(watchlist[key], { name: pool.name, lastSeen: now });
+    }
+    saveWatchlist();
+}
+
+/**
+ * Returns the pinned pools in pin order. Each carries watchSectionId and,
+ * if it is not in a section, watchStatus 'below-threshold' or 'not-found'.
+ * Pools below threshold are scored alongside their last section.
+ */
+function getWatchlistPools() {
+    const sectionPools = new Map();
+    for (const sectionId in currentCategorizedPools) {
+        for (const pool of currentCategorizedPools[sectionId]) {
+            sectionPools.set(getPoolKey(pool.chain, pool.address), { ...pool, watchSectionId: sectionId });
+        }
+    }
+
+    return Object.keys(watchlist).map(key => {
+        const entry = watchlist[key];
+        if (sectionPools.has(key)) return sectionPools.get(key);
+
+        const belowPool = belowThresholdPools.get(key);
+        if (belowPool) {
+            const peers = currentCategorizedPools[entry.sectionId] || [];
+            const scored = scoreAndRankPools([...peers, belowPool], viewFilters.volumeWindow)
+                .find(pool => getPoolKey(pool.chain, pool.address) === key);
+            applyPriceImpact({ [WATCHLIST_SECTION.id]: [scored] }, viewFilters.tradeSizeUsd);
+            return { ...scored, watchSectionId: entry.sectionId, watchStatus: 'below-threshold' };
+        }
+
+        return { ...entry, watchSectionId: entry.sectionId, watchStatus: 'not-found' };
+    });
+}
+
+// =================================================================
+// ALERT RULES
+// =================================================================
+
+// Pool fields a rule can test
+const ALERT_METRICS = {
+    score: { label: 'Turnover', format: value => value.toFixed(2) },
+    compositeScore: { label: 'Score', format: value => value.toFixed(0) },
+    liquidityUsd: { label: 'Liquidity', format: formatUsdCompact },
+    windowVolumeUsd: { label: 'Volume', format: formatUsdCompact },
+    apr: { label: 'APR (%)', format: formatApr }
+};
+
+// 'rises' and 'drops' compare with the previous refresh, in percent
+const ALERT_CONDITIONS = {
+    above: { label: 'is above', symbol: '>' },
+    below: { label: 'is below', symbol: '<' },
+    rises: { label: 'rises by % since last refresh', symbol: 'rises ≥' },
+    drops: { label: 'drops by % since last refresh', symbol: 'drops ≥' }
+};
+
+// Rules as { id, scope, chain, metric, condition, value, cooldownMinutes, lastFiredAt }.
+// Scope is 'all', 'watchlist' or a category id.
+const alertRules = loadAlertRules();
+
+// Fired alerts, newest first
+const alertLog = [];
+
+// Set by each refresh; cleared once its data has been checked
+let alertCheckPending = false;
+
+/**
+ * Reads the alert rules from localStorage.
+ */
+function loadAlertRules() {
+    try {
+        const rules = JSON.parse(localStorage.getItem(CONFIG.ALERTS.STORAGE_KEY));
+        return Array.isArray(rules) ? rules : [];
+    } catch (error) {
+        logMessage(`Could not read alert rules: ${error.message}`, 'warn');
+        return [];
+    }
+}
+
+/**
+ * Writes the alert rules to localStorage.
+ */
+function saveAlertRules() {
+    try {
+        localStorage.setItem(CONFIG.ALERTS.STORAGE_KEY, JSON.stringify(alertRules));
+    } catch (error) {
+        logMessage(`Could not save alert rules: ${error.message}`, 'warn');
+    }
+}
+
+/**
+ * Describes a rule, e.g. "ETH / Stablecoin pools on base: Turnover > 3".
+ */
+function describeAlertRule(rule) {
+    let scope = 'Any pool';
+    if (rule.scope === WATCHLIST_SECTION.id) {
+        scope = 'Watchlist pools';
+    } else if (rule.scope !== 'all') {
+        const category = getPairCategories().find(c => c.id === rule.scope);
+        scope = `${category ? category.label : rule.scope} pools`;
+    }
+    if (rule.chain) scope += ` on ${rule.chain}`;
+
+    const condition = ALERT_CONDITIONS[rule.condition];
+    const suffix = rule.condition === 'rises' || rule.condition === 'drops' ? '%' : '';
+    return `${scope}: ${ALERT_METRICS[rule.metric].label} ${condition.symbol} ${rule.value}${suffix}`;
+}
+
+/**
+ * Returns the pools a rule applies to.
+ */
+function getAlertCandidates(rule) {
+    let pools;
+    if (rule.scope === WATCHLIST_SECTION.id) {
+        pools = getWatchlistPools().filter(pool => pool.watchStatus !== 'not-found');
+    } else if (rule.scope === 'all') {
+        pools = Object.values(currentCategorizedPools).flat();
+    } else {
+        pools = currentCategorizedPools[rule.scope] || [];
+    }
+    return rule.chain ? pools.filter(pool => pool.chain === rule.chain) : pools;
+}
+
+/**
+ * Returns the percent change of a rule's metric since the previous
+ * refresh, or null if the pool has no earlier value to compare with.
+ */
+function getAlertChangePct(rule, pool, previousPools) {
+    const previous = previousPools.get(getPoolKey(pool.chain, pool.address))?.[rule.metric];
+    if (typeof previous !== 'number' || previous <= 0) return null;
+    return ((pool[rule.metric] - previous) / previous) * 100;
+}
+
+/**
+ * Returns true if a pool meets a rule. Change conditions need the pool in
+ * the previous refresh; pools without a value never match.
+ */
+function matchesAlertRule(rule, pool, previousPools) {
+    const value = pool[rule.metric];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+
+    switch (rule.condition) {
+        case 'above': return value > rule.value;
+        case 'below': return value < rule.value;
+        case 'rises':
+        case 'drops': {
+            const changePct = getAlertChangePct(rule, pool, previousPools);
+            if (changePct === null) return false;
+            return rule.condition === 'rises' ? changePct >= rule.value : -changePct >= rule.value;
+        }
+        default: return false;
+    }
+}
+
+/**
+ * Returns a rule's cooldown in milliseconds, never below MIN_COOLDOWN_MINUTES.
+ */
+function getAlertCooldownMs(rule) {
+    return Math.max(CONFIG.ALERTS.MIN_COOLDOWN_MINUTES, rule.cooldownMinutes || 0) * 60000;
+}
+
+/**
+ * Checks every rule against the loaded pools. Matching rules outside their
+ * cooldown fire once for all their matching pools.
+ */
+function evaluateAlertRules() {
+    if (alertRules.length === 0) return;
+
+    const previousPools = new Map();
+    for (const pool of Object.values(trendBaselinePools || {}).flat()) {
+        previousPools.set(getPoolKey(pool.chain, pool.address), pool);
+    }
+
+    const now = Date.now();
+    let fired = false;
+    for (const rule of alertRules) {
+        if (rule.lastFiredAt && now - rule.lastFiredAt < getAlertCooldownMs(rule)) continue;
+
+        const matches = getAlertCandidates(rule).filter(pool => matchesAlertRule(rule, pool, previousPools));
+        if (matches.length === 0) continue;
+
+        rule.lastFiredAt = now;
+        fired = true;
+        fireAlert(rule, matches, previousPools);
+    }
+
+    if (fired) {
+        saveAlertRules();
+        renderAlertRules();
+        renderAlertLog();
+    }
+}
+
+/**
+ * Records a fired rule in the alert log and shows a browser notification
+ * if permission was granted.
+ */
+function fireAlert(rule, matches, previousPools) {
+    const metric = ALERT_METRICS[rule.metric];
+    const isChange = rule.condition === 'rises' || rule.condition === 'drops';
+    const listed = matches.slice(0, 3)
+        .map(pool => {
+            let text = `${pool.name} (${pool.chain}) ${metric.format(pool[rule.metric])}`;
+            if (isChange) text += ` (${getAlertChangePct(rule, pool, previousPools).toFixed(0)}%)`;
+            return text;
+        })
+        .join(', ');
+    const more = matches.length > 3 ? ` and ${matches.length - 3} more` : '';
+    const title = describeAlertRule(rule);
+    const body = `${listed}${more}`;
+
+    alertLog.unshift({ time: Date.now(), title, body });
+    alertLog.length = Math.min(alertLog.length, CONFIG.ALERTS.MAX_LOG_ENTRIES);
+    logMessage(`Alert: ${title} - ${body}`, 'warn');
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+            new Notification(title, { body, tag: rule.id });
+        } catch (error) {
+            logMessage(`Could not show notification: ${error.message}`, 'warn');
+        }
+    }
+}
+
+// =================================================================
+// UI RENDERING
+// =================================================================
+
+/**
+ * Formats USD value in compact form.
+ */
+function formatUsdCompact(value) {
+    if (value >= 1000000000) {
+        return '$' + (value / 1000000000).toFixed(2) + 'B';
+    } else if (value >= 1000000) {
+        return '$' + (value / 1000000).toFixed(2) + 'M';
+    } else if (value >= 1000) {
+        return '$' + (value / 1000).toFixed(1) + 'K';
+    }
+    return '$' + value.toFixed(0);
+}
+
+/**
+ * Formats a USD profit or loss with an explicit sign.
+ */
+function formatSignedUsd(value) {
+    return `${value < 0 ? '-' : '+'}${formatUsdCompact(Math.abs(value))}`;
+}
+
+/**
+ * Formats fee as percentage string.
+ */
+function formatFee(feePercent) {
+    if (feePercent === null || feePercent === undefined) {
+        return '—';
+    }
+    return feePercent.toFixed(2) + '%';
+}
+
+/**
+ * Formats APR as percentage string.
+ */
+function formatApr(apr) {
+    if (apr === null || apr === undefined || apr === 0) {
+        return '—';
+    }
+    if (apr >= 1000) {
+        return (apr / 1000).toFixed(1) + 'K%';
+    }
+    if (apr >= 100) {
+        return apr.toFixed(0) + '%';
+    }
+    return apr.toFixed(1) + '%';
+}
+
+/**
+ * Returns the key a pool's fee tier is filtered by; unknown fees share one key.
+ */
+function getFeeTierKey(pool) {
+    return pool.feeTier === null || pool.feeTier === undefined ? 'unknown' : String(pool.feeTier);
+}
+
+/**
+ * Returns true if the search text appears in the pool name or a token symbol.
+ */
+function matchesSearch(pool, searchText) {
+    const haystack = [pool.name, pool.baseToken?.symbol, pool.quoteToken?.symbol]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return searchText.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+/**
+ * Returns true if a pool passes the current view filters.
+ */
+function isPoolVisible(pool) {
+    if (!viewFilters.showUnverified && pool.verified === false) return false;
+    if (viewFilters.chains.size > 0 && !viewFilters.chains.has(pool.chain)) return false;
+    if (viewFilters.feeTiers.size > 0 && !viewFilters.feeTiers.has(getFeeTierKey(pool))) return false;
+    if (viewFilters.searchText && !matchesSearch(pool, viewFilters.searchText)) return false;
+
+    // A pool with no value for a bounded field is left out
+    for (const filter of RANGE_FILTERS) {
+        const { min, max } = viewFilters.ranges[filter.key];
+        if (min === null && max === null) continue;
+        const value = pool[filter.key];
+        if (typeof value !== 'number') return false;
+        if (min !== null && value < min) return false;
+        if (max !== null && value > max) return false;
+    }
+
+    if (viewFilters.subClass) {
+        const poolSubClasses = [pool.baseToken, pool.quoteToken]
+            .filter(Boolean)
+            .map(token => `${token.assetClass}.${token.subClass}`);
+        if (!poolSubClasses.includes(viewFilters.subClass)) return false;
+    }
+
+    if (viewFilters.hideFlagged && pool.anomaly?.flagged) return false;
+    if (viewFilters.protocol && pool.protocol !== viewFilters.protocol) return false;
+    if (viewFilters.ammType && pool.ammType !== viewFilters.ammType) return false;
+
+    if (viewFilters.excludedTags.size > 0 && (pool.tags || []).some(tag => viewFilters.excludedTags.has(tag))) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Builds the sub-class label and risk tag chips shown under a pool name.
+ */
+function createTaxonomyInfo(pool) {
+    if (!pool.baseToken || !pool.quoteToken) return null;
+
+    const info = document.createElement('div');
+    info.className = 'pool-taxonomy';
+
+    const subClasses = document.createElement('span');
+    subClasses.className = 'pool-subclasses';
+    subClasses.textContent = `${pool.baseToken.subClassLabel} / ${pool.quoteToken.subClassLabel}`;
+    subClasses.title = [pool.baseToken, pool.quoteToken]
+        .map(token => `${token.symbol}: ${token.assetClass} · ${token.subClassLabel}${token.tags.length ? ' (' + token.tags.join(', ') + ')' : ''}`)
+        .join('\n');
+    info.appendChild(subClasses);
+
+    for (const tag of pool.tags || []) {
+        const chip = document.createElement('span');
+        chip.className = `risk-tag tag-${tag}`;
+        chip.textContent = tag;
+        info.appendChild(chip);
+    }
+
+    return info;
+}
+
+/**
+ * Builds the badge listing a pool's sources, with per-source values in its tooltip.
+ * Pools whose sources disagree beyond the threshold are highlighted.
+ */
+function createSourceBadge(pool) {
+    if (!pool.sources || pool.sources.length < 2) return null;
+
+    const badge = document.createElement('span');
+    badge.className = 'source-badge';
+    badge.textContent = pool.sources
+        .map(source => CONFIG.DATA_SOURCES[source]?.shortName || source)
+        .join('+');
+
+    const lines = pool.sources.map(source => {
+        const values = pool.sourceValues[source];
+        return `${source}: liquidity ${formatUsdCompact(values.liquidityUsd)}, volume ${formatUsdCompact(values.volumeUsd24h)}, fee ${formatFee(values.feeTier)}`;
+    });
+
+    if (pool.discrepancy?.flagged) {
+        badge.classList.add('source-conflict');
+        badge.textContent += ' ⚠';
+        lines.push(`Sources differ: liquidity ${pool.discrepancy.liquidityPct.toFixed(0)}%, volume ${pool.discrepancy.volumePct.toFixed(0)}%`);
+    }
+
+    badge.title = lines.join('\n');
+    return badge;
+}
+
+/**
+ * Renders the chain cell.
+ */
+function renderChainCell(cell, pool) {
+    cell.textContent = pool.chain || 'unknown';
+}
+
+/**
+ * Renders the pool name, link, source badge, identity flag and taxonomy.
+ */
+function renderNameCell(cell, pool) {
+    if (pool.poolUrl) {
+        const link = document.createElement('a');
+        link.href = pool.poolUrl;
+        link.textContent = pool.name;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.className = 'pool-link';
+        cell.appendChild(link);
+    } else {
+        cell.textContent = pool.name;
+    }
+
+    const sourceBadge = createSourceBadge(pool);
+    if (sourceBadge) cell.appendChild(sourceBadge);
+
+    if (pool.verified === false) {
+        const unverifiedFlag = document.createElement('span');
+        unverifiedFlag.className = 'token-flag unverified';
+        unverifiedFlag.textContent = 'unverified';
+        unverifiedFlag.title = [pool.baseToken, pool.quoteToken]
+            .filter(token => !token.verified)
+            .map(token => `${token.symbol} matched by symbol only (${token.address || 'no address'})`)
+            .join('\n');
+        cell.appendChild(unverifiedFlag);
+    }
+
+    if (pool.anomaly?.reasons.length > 0) {
+        const anomalyFlag = document.createElement('span');
+        anomalyFlag.className = `token-flag anomaly${pool.anomaly.flagged ? ' flagged' : ''}`;
+        anomalyFlag.textContent = pool.anomaly.flagged ? `⚠ suspicious ${pool.anomaly.score}` : `? ${pool.anomaly.score}`;
+        anomalyFlag.title = `Suspicion score ${pool.anomaly.score}/100\n${pool.anomaly.reasons.join('\n')}`;
+        cell.appendChild(anomalyFlag);
+    }
+
+    if (pool.watchStatus === 'below-threshold') {
+        const statusFlag = document.createElement('span');
+        statusFlag.className = 'token-flag watch-status';
+        statusFlag.textContent = 'below threshold';
+        statusFlag.title = `Liquidity ${formatUsdCompact(pool.liquidityUsd)} (min ${formatUsdCompact(CONFIG.MIN_LIQUIDITY)}), ` +
+            `24h volume ${formatUsdCompact(pool.volumeUsd24h)} (min ${formatUsdCompact(CONFIG.MIN_VOLUME_24H)})`;
+        cell.appendChild(statusFlag);
+    }
+
+    const taxonomyInfo = createTaxonomyInfo(pool);
+    if (taxonomyInfo) cell.appendChild(taxonomyInfo);
+    if (pool.watchSectionId) cell.appendChild(createWatchSectionLabel(pool));
+}
+
+/**
+ * Builds the label naming a pinned pool's section.
+ */
+function createWatchSectionLabel(pool) {
+    const label = document.createElement('span');
+    label.className = 'watch-section';
+    const category = getPairCategories().find(c => c.id === pool.watchSectionId);
+    label.textContent = category ? category.label : pool.watchSectionId || '';
+    return label;
+}
+
+/**
+ * Renders the star that pins a pool to the watchlist.
+ */
+function renderWatchCell(cell, pool, sectionId) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watch-toggle';
+    const pinned = isPinned(pool);
+    if (pinned) button.classList.add('pinned');
+    button.textContent = pinned ? '★' : '☆';
+    button.title = pinned ? 'Remove from watchlist' : 'Add to watchlist';
+    button.addEventListener('click', () => toggleWatchlist(pool, pool.watchSectionId || sectionId));
+    cell.appendChild(button);
+}
+
+/**
+ * Builds the row for a pinned pool that no source returned.
+ */
+function createMissingPoolRow(pool, columns) {
+    const row = document.createElement('tr');
+    row.className = 'row-not-found';
+
+    const watchCell = document.createElement('td');
+    renderWatchCell(watchCell, pool, WATCHLIST_SECTION.id);
+    const chainCell = document.createElement('td');
+    renderChainCell(chainCell, pool);
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = pool.name;
+    const statusFlag = document.createElement('span');
+    statusFlag.className = 'token-flag watch-status';
+    statusFlag.textContent = 'not found';
+    statusFlag.title = `${pool.address}\nLast seen ${new Date(pool.lastSeen).toLocaleString()}`;
+    nameCell.appendChild(statusFlag);
+    nameCell.appendChild(createWatchSectionLabel(pool));
+
+    const messageCell = document.createElement('td');
+    messageCell.colSpan = columns.length - 3;
+    messageCell.className = 'not-found-message';
+    messageCell.textContent = `Not returned by any source since ${new Date(pool.lastSeen).toLocaleString()}`;
+
+    row.append(watchCell, chainCell, nameCell, messageCell);
+    return row;
+}
+
+/**
+ * Renders the DEX name and its AMM type.
+ */
+function renderDexCell(cell, pool) {
+    cell.className = 'dex-cell';
+    const name = document.createElement('span');
+    name.className = 'dex-name';
+    name.textContent = pool.protocolLabel || '—';
+    if (!pool.protocol && pool.dexId) name.title = `Unrecognized dex id: ${pool.dexId}`;
+    cell.appendChild(name);
+
+    if (pool.ammType) {
+        const amm = document.createElement('span');
+        amm.className = `amm-type amm-${pool.ammType}`;
+        amm.textContent = AMM_TYPE_LABELS[pool.ammType] || pool.ammType;
+        cell.appendChild(amm);
+    }
+}
+
+/**
+ * Renders the fee tier badge.
+ */
+function renderFeeCell(cell, pool) {
+    const protocolLabel = CONFIG.DEX_PROTOCOLS[pool.protocol]?.label || pool.dexId || 'unknown DEX';
+    const feeBadge = document.createElement('span');
+    feeBadge.className = `fee-badge fee-${pool.feeSource}`;
+
+    if (pool.feeSource === 'defaulted') {
+        feeBadge.textContent = `${formatFee(CONFIG.DEFAULT_FEE_PERCENT)}?`;
+        feeBadge.title = `Fee unknown for ${protocolLabel}; APR assumes the ${formatFee(CONFIG.DEFAULT_FEE_PERCENT)} default`;
+    } else {
+        feeBadge.classList.add(getFeeBadgeClass(pool.feeTier));
+        feeBadge.textContent = formatFee(pool.feeTier);
+        feeBadge.title = pool.feeSource === 'measured'
+            ? `Fee reported by the data source (${protocolLabel})`
+            : `Fee inferred from the ${protocolLabel} fee model`;
+    }
+
+    if (pool.feeDynamic) {
+        feeBadge.textContent += '~';
+        feeBadge.title += '. Dynamic fee: the actual fee varies.';
+    }
+
+    cell.appendChild(feeBadge);
+}
+
+/**
+ * Renders liquidity with its depth bar.
+ */
+function renderLiquidityCell(cell, pool) {
+    cell.className = 'liquidity-cell';
+
+    const liqIndicator = getLiquidityIndicator(pool.liquidityUsd);
+
+    const bar = document.createElement('div');
+    bar.className = 'liquidity-bar';
+    bar.style.width = `${liqIndicator.percentage}%`;
+    bar.style.backgroundColor = `hsl(${liqIndicator.hue}, 70%, 50%)`;
+    cell.appendChild(bar);
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = `liquidity-value ${liqIndicator.colorClass}`;
+    valueSpan.textContent = formatUsdCompact(pool.liquidityUsd);
+    cell.appendChild(valueSpan);
+}
+
+/**
+ * Renders volume over the selected window, with its daily equivalent on hover.
+ */
+function renderVolumeCell(cell, pool) {
+    const windowKey = viewFilters.volumeWindow;
+    if (pool.windowVolumeUsd === null) {
+        cell.textContent = '—';
+        cell.title = CONFIG.VOLUME_WINDOWS[windowKey].history ? 'History not loaded yet' : 'Not reported by source';
+        return;
+    }
+
+    cell.textContent = formatUsdCompact(pool.windowVolumeUsd);
+    if (CONFIG.VOLUME_WINDOWS[windowKey].history) {
+        cell.title = `Average daily volume over ${Math.min(pool.historyDays, CONFIG.VOLUME_WINDOWS[windowKey].history)} days`;
+    } else if (windowKey !== 'h24') {
+        cell.title = `≈ ${formatUsdCompact(getDailyEquivalentVolume(pool, windowKey))} per day`;
+    }
+}
+
+/**
+ * Renders the composite score, with its breakdown in the tooltip.
+ */
+function renderCompositeScoreCell(cell, pool) {
+    const span = document.createElement('span');
+    span.className = 'composite-score';
+    span.textContent = pool.compositeScore.toFixed(0);
+    span.title = Object.keys(SCORE_COMPONENTS)
+        .map(key => {
+            const part = pool.scoreBreakdown[key];
+            return `${SCORE_COMPONENTS[key]}: ${part.value.toFixed(2)} × ${(part.weight * 100).toFixed(0)}% = ${part.points.toFixed(1)}`;
+        })
+        .concat(`Total: ${pool.compositeScore.toFixed(1)} / 100`)
+        .join('\n');
+    cell.appendChild(span);
+}
+
+/**
+ * Renders the turnover ratio.
+ */
+function renderTurnoverCell(cell, pool) {
+    cell.textContent = pool.score === null ? '—' : pool.score.toFixed(3);
+}
+
+/**
+ * Draws a small SVG sparkline of a value series.
+ */
+function createSparkline(values) {
+    const width = 60;
+    const height = 16;
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const step = width / (values.length - 1);
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'sparkline');
+
+    const line = document.createElementNS(svgNs, 'polyline');
+    line.setAttribute('points', values.map((value, i) => {
+        const y = max === min ? height / 2 : height - 1 - ((value - min) / (max - min)) * (height - 2);
+        return `${(i * step).toFixed(1)},${y.toFixed(1)}`;
+    }).join(' '));
+    svg.appendChild(line);
+
+    return svg;
+}
+
+/**
+ * Renders rank movement and deltas since the previous refresh, plus a turnover sparkline.
+ */
+function renderTrendCell(cell, pool) {
+    cell.className = 'trend-cell';
+    const trend = pool.trend;
+    const indicator = document.createElement('span');
+    indicator.className = 'trend-indicator';
+
+    if (!trend) {
+        indicator.textContent = '—';
+        indicator.title = 'No previous refresh to compare with yet';
+    } else if (trend.isNew) {
+        indicator.textContent = 'NEW';
+        indicator.classList.add('trend-new');
+        indicator.title = 'New entrant since the previous refresh';
+    } else {
+        if (trend.rankDelta > 0) {
+            indicator.textContent = `▲${trend.rankDelta}`;
+            indicator.classList.add('trend-up');
+        } else if (trend.rankDelta < 0) {
+            indicator.textContent = `▼${-trend.rankDelta}`;
+            indicator.classList.add('trend-down');
+        } else {
+            indicator.textContent = '–';
+        }
+
+        const lines = [`Rank ${trend.previousRank} → ${trend.rank}`];
+        if (trend.scoreDelta !== null) {
+            lines.push(`Turnover ${trend.scoreDelta >= 0 ? '+' : ''}${trend.scoreDelta.toFixed(3)}`);
+        }
+        if (trend.liquidityDeltaPct !== null) {
+            lines.push(`Liquidity ${trend.liquidityDeltaPct >= 0 ? '+' : ''}${trend.liquidityDeltaPct.toFixed(1)}%`);
+        }
+        indicator.title = lines.join('\n');
+    }
+    cell.appendChild(indicator);
+
+    if (trend && !trend.isNew && trend.scoreDelta) {
+        const delta = document.createElement('span');
+        delta.className = `trend-delta ${trend.scoreDelta > 0 ? 'trend-up' : 'trend-down'}`;
+        delta.textContent = `${trend.scoreDelta > 0 ? '+' : ''}${trend.scoreDelta.toFixed(3)}`;
+        cell.appendChild(delta);
+    }
+
+    const history = turnoverHistory.get(pool.id);
+    if (history && history.length >= 2) {
+        cell.appendChild(createSparkline(history));
+    }
+}
+
+/**
+ * Renders today's turnover relative to the 7-day average.
+ */
+function renderConsistencyCell(cell, pool) {
+    if (pool.consistencyRatio === null || pool.consistencyRatio === undefined) {
+        cell.textContent = '—';
+        return;
+    }
+
+    const span = document.createElement('span');
+    span.className = 'consistency-value';
+    if (pool.consistencyRatio >= 2) span.classList.add('consistency-spike');
+    else if (pool.consistencyRatio <= 0.5) span.classList.add('consistency-quiet');
+    span.textContent = `${pool.consistencyRatio.toFixed(1)}×`;
+    span.title = `24h turnover is ${pool.consistencyRatio.toFixed(2)}× the 7-day average`;
+    cell.appendChild(span);
+}
+
+/**
+ * Renders the deviation from the expected exchange rate in basis points.
+ */
+function renderPegCell(cell, pool) {
+    const peg = pool.peg;
+    const span = document.createElement('span');
+    span.className = 'peg-value';
+
+    if (!peg) {
+        span.textContent = '—';
+        span.title = 'Token prices unavailable';
+    } else if (peg.deviationBps === null) {
+        span.textContent = '—';
+        span.title = `Implied rate ${peg.impliedRate.toFixed(4)}. No redemption rate configured for ${pool.baseToken.symbol}/${pool.quoteToken.symbol}.`;
+    } else {
+        const sign = peg.deviationBps > 0 ? '+' : '';
+        span.textContent = `${sign}${peg.deviationBps.toFixed(0)} bps`;
+        span.classList.add(peg.depegged ? 'peg-depegged' : 'peg-ok');
+        span.title = `Implied: 1 ${pool.baseToken.symbol} = ${peg.impliedRate.toFixed(4)} ${pool.quoteToken.symbol}\nExpected: ${peg.expectedRate.toFixed(4)}`;
+    }
+
+    cell.appendChild(span);
+}
+
+/**
+ * Renders the estimated APR.
+ */
+function renderAprCell(cell, pool) {
+    const aprSpan = document.createElement('span');
+    aprSpan.className = `apr-value ${getAprColorClass(pool.apr)}`;
+    aprSpan.textContent = formatApr(pool.apr);
+    cell.appendChild(aprSpan);
+}
+
+/**
+ * Renders per-row action buttons.
+ */
+function renderActionsCell(cell, pool) {
+    cell.className = 'row-actions';
+
+    const chartButton = document.createElement('button');
+    chartButton.type = 'button';
+    chartButton.className = 'row-action';
+    chartButton.textContent = '📈';
+    chartButton.title = 'Show history chart';
+    chartButton.addEventListener('click', () => openPoolChart(pool));
+    cell.appendChild(chartButton);
+
+    const simulatorButton = document.createElement('button');
+    simulatorButton.type = 'button';
+    simulatorButton.className = 'row-action';
+    simulatorButton.textContent = '🧮';
+    simulatorButton.title = 'Simulate LP position';
+    simulatorButton.addEventListener('click', () => openLpSimulator(pool));
+    cell.appendChild(simulatorButton);
+}
+
+/**
+ * Renders the IL-adjusted APR, with the assumptions in its tooltip.
+ */
+function renderNetAprCell(cell, pool) {
+    const span = document.createElement('span');
+    const window = CONFIG.VOLUME_WINDOWS[viewFilters.volumeWindow];
+
+    if (pool.netApr === null || pool.netApr === undefined) {
+        span.className = 'apr-value apr-low';
+        span.textContent = '—';
+        span.title = pool.ammType === 'constant-product' || pool.ammType === 'concentrated'
+            ? `No price change data for the ${window.label} window`
+            : 'IL is only estimated for constant-product and concentrated pools';
+        cell.appendChild(span);
+        return;
+    }
+
+    const priceChange = pool.priceChangePct[viewFilters.volumeWindow];
+    span.className = `apr-value ${pool.netApr < 0 ? 'apr-negative' : getAprColorClass(pool.netApr)}`;
+    span.textContent = `${pool.netAprUpperBound ? '≤ ' : ''}${pool.netApr.toFixed(1)}%`;
+    span.title = [
+        `Fee APR ${formatApr(pool.apr)} minus impermanent loss over the ${window.label} window.`,
+        `Price moved ${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}% → IL ${pool.ilPct.toFixed(3)}%, annualised at the same rate.`,
+        'Assumes a 50/50 position, the quote token flat in USD and price moves that repeat like the last window.',
+        pool.netAprUpperBound ? 'Concentrated liquidity loses more within its range, so this is an upper bound.' : ''
+    ].filter(Boolean).join('\n');
+    cell.appendChild(span);
+}
+
+/**
+ * Renders price impact for the trade size, with the total cost including the fee.
+ */
+function renderImpactCell(cell, pool) {
+    if (pool.priceImpactPct === null || pool.priceImpactPct === undefined) {
+        cell.textContent = '—';
+        return;
+    }
+
+    const impact = document.createElement('span');
+    impact.className = 'impact-value';
+    if (pool.priceImpactPct >= 1) impact.classList.add('impact-high');
+    else if (pool.priceImpactPct >= 0.1) impact.classList.add('impact-medium');
+    else impact.classList.add('impact-low');
+    impact.textContent = `${pool.priceImpactModel === 'concentrated' ? '≤ ' : ''}${pool.priceImpactPct.toFixed(pool.priceImpactPct < 0.1 ? 3 : 2)}%`;
+    impact.title = [
+        `Swapping ${formatUsdCompact(viewFilters.tradeSizeUsd)} against ${formatUsdCompact(pool.liquidityUsd)} liquidity`,
+        {
+            'constant-product': 'Constant-product estimate',
+            'stableswap': `StableSwap estimate (constant-product ÷ ${CONFIG.PRICE_IMPACT.STABLESWAP_AMPLIFICATION})`,
+            'concentrated': 'Full-range estimate; concentrated liquidity is usually deeper near the price'
+        }[pool.priceImpactModel],
+        `Total cost incl. ${formatFee(getEffectiveFee(pool))} fee: ${pool.executionCostPct.toFixed(3)}%`
+    ].join('\n');
+    cell.appendChild(impact);
+
+    const total = document.createElement('span');
+    total.className = 'impact-total';
+    total.textContent = `total ${pool.executionCostPct.toFixed(2)}%`;
+    cell.appendChild(total);
+}
+
+// Table columns in display order. `key` is the pool field used for sorting;
+// `defaultOrder` is the first sort direction when a header is clicked.
+const TABLE_COLUMNS = [
+    { key: 'watch', label: '', sortable: false, render: renderWatchCell },
+    { key: 'chain', label: 'Chain', render: renderChainCell },
+    { key: 'name', label: 'Pool', render: renderNameCell },
+    { key: 'protocolLabel', label: 'DEX', render: renderDexCell },
+    { key: 'feeTier', label: 'Fee', render: renderFeeCell },
+    { key: 'liquidityUsd', label: 'Liquidity', render: renderLiquidityCell },
+    { key: 'windowVolumeUsd', label: () => `Volume ${CONFIG.VOLUME_WINDOWS[viewFilters.volumeWindow].label}`, render: renderVolumeCell },
+    { key: 'compositeScore', label: 'Score', title: 'Composite score (0-100); hover a value for its breakdown', render: renderCompositeScoreCell },
+    { key: 'score', label: 'Turnover', title: 'Daily-equivalent volume / liquidity', render: renderTurnoverCell },
+    { key: 'rankDelta', label: 'Trend', title: 'Change since the previous refresh', render: renderTrendCell },
+    { key: 'apr', label: 'Est. APR', render: renderAprCell },
+    { key: 'netApr', label: 'Est. Net APR', title: 'Fee APR minus annualised impermanent loss', render: renderNetAprCell },
+    {
+        key: 'executionCostPct',
+        label: () => `Impact @ ${formatUsdCompact(viewFilters.tradeSizeUsd)}`,
+        title: 'Price impact for the trade size; sorts by total cost including the fee (best execution first)',
+        defaultOrder: 'asc',
+        render: renderImpactCell
+    },
+    { key: 'consistencyRatio', label: '24h / 7d', title: "Today's turnover vs the 7-day average", render: renderConsistencyCell },
+    { key: 'pegDeviationBps', label: 'Peg', render: renderPegCell, showIf: category => category.pegMonitor },
+    { key: 'actions', label: '', sortable: false, render: renderActionsCell }
+];
+
+/**
+ * Returns a column's header text; labels may depend on view state.
+ */
+function getColumnLabel(column) {
+    return typeof column.label === 'function' ? column.label() : column.label;
+}
+
+/**
+ * Refreshes header text for columns whose label depends on view state.
+ */
+function updateColumnLabels() {
+    for (const column of TABLE_COLUMNS) {
+        if (typeof column.label !== 'function') continue;
+        document.querySelectorAll(`th[data-sort="${column.key}"]`).forEach(th => {
+            th.textContent = getColumnLabel(column);
+        });
+    }
+}
+
+/**
+ * Returns the columns shown in a section.
+ */
+function getSectionColumns(sectionId) {
+    const category = getPairCategories().find(c => c.id === sectionId) || {};
+    return TABLE_COLUMNS.filter(column => !column.showIf || column.showIf(category));
+}
+
+/**
+ * Builds one dashboard section (header, table and empty message) for a category.
+ */
+function createSectionElement(category) {
+    const { id, label, color } = category;
+
+    const section = document.createElement('div');
+    section.className = 'pair-section';
+    section.id = `${id}-section`;
+    if (color) {
+        section.style.setProperty('--section-color', color);
+        section.style.setProperty('--section-bg', hexToRgba(color, 0.08));
+        section.style.setProperty('--section-border', hexToRgba(color, 0.30));
+        section.style.setProperty('--section-header-bg', hexToRgba(color, 0.18));
+        section.style.setProperty('--section-th-bg', hexToRgba(color, 0.12));
+    }
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+    header.dataset.section = id;
+    header.innerHTML = `<h2><span class="collapse-icon">▼</span><span class="section-title"></span><span class="pool-count" id="${id}-count">(0)</span></h2>`;
+    header.querySelector('.section-title').textContent = label;
+    section.appendChild(header);
+
+    const content = document.createElement('div');
+    content.className = 'section-content';
+    content.id = `${id}-content`;
+
+    const container = document.createElement('div');
+    container.className = 'pool-table-container';
+
+    const table = document.createElement('table');
+    table.className = 'pool-table';
+    const headRow = table.createTHead().insertRow();
+    for (const column of getSectionColumns(id)) {
+        const th = document.createElement('th');
+        th.textContent = getColumnLabel(column);
+        if (column.title) th.title = column.title;
+        if (column.sortable !== false) th.dataset.sort = column.key;
+        th.dataset.section = id;
+        headRow.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    tbody.id = `${id}-table-body`;
+    container.appendChild(table);
+
+    const noData = document.createElement('div');
+    noData.className = 'no-data-message hidden';
+    noData.id = `${id}-no-data`;
+    noData.textContent = `No ${label} pools found.`;
+    container.appendChild(noData);
+
+    const dropped = document.createElement('div');
+    dropped.className = 'dropped-pools hidden';
+    dropped.id = `${id}-dropped`;
+    container.appendChild(dropped);
+
+    content.appendChild(container);
+    section.appendChild(content);
+    return section;
+}
+
+/**
+ * Generates the watchlist section and a section for every enabled pair category.
+ */
+function buildDashboardSections() {
+    const container = document.getElementById('dashboard-content');
+    container.innerHTML = '';
+
+    const watchlistSection = createSectionElement(WATCHLIST_SECTION);
+    watchlistSection.classList.add('watchlist-section', 'hidden');
+    container.appendChild(watchlistSection);
+
+    for (const category of getPairCategories()) {
+        container.appendChild(createSectionElement(category));
+    }
+}
+
+/**
+ * Renders pools into a section's table.
+ */
+function renderPoolsToTable(pools, sectionId) {
+    const tableBody = document.getElementById(`${sectionId}-table-body`);
+    const noDataMessage = document.getElementById(`${sectionId}-no-data`);
+    const countElement = document.getElementById(`${sectionId}-count`);
+
+    if (!tableBody) {
+        logMessage(`Table body not found: ${sectionId}-table-body`, 'error');
+        return;
+    }
+
+    tableBody.innerHTML = '';
+    const totalCount = (pools || []).length;
+    // Pinned pools are shown whatever the filters
+    if (sectionId !== WATCHLIST_SECTION.id) pools = (pools || []).filter(isPoolVisible);
+
+    if (countElement) {
+        countElement.textContent = `(${pools.length} / ${totalCount})`;
+    }
+
+    if (!pools || pools.length === 0) {
+        if (noDataMessage) noDataMessage.classList.remove('hidden');
+        return;
+    }
+
+    if (noDataMessage) noDataMessage.classList.add('hidden');
+
+    const columns = getSectionColumns(sectionId);
+    pools.forEach(pool => {
+        if (pool.watchStatus === 'not-found') {
+            tableBody.appendChild(createMissingPoolRow(pool, columns));
+            return;
+        }
+
+        const row = document.createElement('tr');
+        if (pool.peg?.depegged) row.classList.add('row-depegged');
+        if (pool.watchStatus === 'below-threshold') row.classList.add('row-below-threshold');
+        for (const column of columns) {
+            const cell = document.createElement('td');
+            column.render(cell, pool, sectionId);
+            row.appendChild(cell);
+        }
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Renders all categorized pools to their respective sections.
+ */
+function renderAllSections(categorizedPools) {
+    updateFilterOptions(categorizedPools);
+    renderWatchlist();
+    for (const category of getPairCategories()) {
+        const pools = categorizedPools[category.id] || [];
+        applySectionSort(category.id, pools);
+        renderPoolsToTable(pools, category.id);
+        renderDroppedPools(category.id);
+    }
+    writeUrlState();
+}
+
+/**
+ * Renders the watchlist section; it is hidden while nothing is pinned.
+ */
+function renderWatchlist() {
+    const section = document.getElementById(`${WATCHLIST_SECTION.id}-section`);
+    if (!section) return;
+
+    section.classList.toggle('hidden', Object.keys(watchlist).length === 0);
+    const pools = getWatchlistPools();
+    applySectionSort(WATCHLIST_SECTION.id, pools);
+    renderPoolsToTable(pools, WATCHLIST_SECTION.id);
+}
+
+/**
+ * Lists the pools that left a section since the previous refresh.
+ */
+function renderDroppedPools(sectionId) {
+    const element = document.getElementById(`${sectionId}-dropped`);
+    if (!element) return;
+
+    const dropped = droppedPoolsBySection[sectionId] || [];
+    if (dropped.length === 0) {
+        element.classList.add('hidden');
+        element.textContent = '';
+        return;
+    }
+
+    element.classList.remove('hidden');
+    element.textContent = `Dropped out: ${dropped.map(pool => `${pool.name} (${pool.chain})`).join(', ')}`;
+}
+
+/**
+ * Updates the status bar.
+ */
+function updateStatusBar(message, type = 'info') {
+    const statusBar = document.getElementById('status-bar');
+    const statusMessage = document.getElementById('status-message');
+    statusMessage.textContent = message;
+    statusBar.className = type;
+}
+
+/**
+ * Updates the last updated timestamp.
+ */
+function updateLastUpdatedTime() {
+    const el = document.getElementById('last-updated');
+    el.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
+}
+
+/**
+ * Formats a duration in milliseconds as a short age string.
+ */
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '<1m';
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Shows how old the cached data is for each source.
+ */
+function updateDataAgeDisplay() {
+    const el = document.getElementById('data-age');
+    if (!el) return;
+
+    el.innerHTML = '';
+    const ages = getCacheAgeBySource();
+
+    for (const source in ages) {
+        const { age, stale, revalidating } = ages[source];
+        const item = document.createElement('span');
+        item.className = 'data-age-item';
+        if (stale) item.classList.add('stale');
+
+        let text = `${source}: ${formatAge(age)} old`;
+        if (revalidating) text += ' (refreshing)';
+        else if (stale) text += ' (stale)';
+        item.textContent = text;
+
+        el.appendChild(item);
+    }
+}
+
+/**
+ * Renders success rate, latency and last error for each source endpoint.
+ */
+function renderSourceHealthPanel() {
+    const panel = document.getElementById('source-health');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    const now = Date.now();
+
+    for (const health of sourceHealth.values()) {
+        const item = document.createElement('div');
+        item.className = 'health-item';
+
+        const successRate = health.requests > 0 ? (health.successes / health.requests) * 100 : 0;
+        if (health.successes === 0) {
+            item.classList.add('health-down');
+        } else if (!health.lastOk || successRate < 90) {
+            item.classList.add('health-degraded');
+        } else {
+            item.classList.add('health-ok');
+        }
+
+        const name = document.createElement('span');
+        name.className = 'health-name';
+        name.textContent = health.label;
+        item.appendChild(name);
+
+        const avgLatency = health.successes > 0 ? Math.round(health.totalLatencyMs / health.successes) : null;
+        const stats = document.createElement('span');
+        stats.className = 'health-stats';
+        stats.textContent = [
+            `${successRate.toFixed(0)}% ok (${health.successes}/${health.requests})`,
+            avgLatency !== null ? `${avgLatency}ms avg` : null,
+            health.lastSuccessAt ? `last ok ${formatAge(now - health.lastSuccessAt)} ago` : 'never ok',
+            health.retries > 0 ? `${health.retries} retries` : null
+        ].filter(Boolean).join(' · ');
+        item.appendChild(stats);
+
+        if (health.lastError) {
+            const error = document.createElement('span');
+            error.className = 'health-error';
+            error.textContent = `Last error: ${health.lastError} (${formatAge(now - health.lastErrorAt)} ago)`;
+            item.appendChild(error);
+        }
+
+        panel.appendChild(item);
+    }
+}
+
+/**
+ * Toggles the loading spinner.
+ */
+function toggleLoader(isVisible) {
+    const loader = document.getElementById('loading-spinner');
+    if (isVisible) {
+        loader.classList.remove('hidden');
+    } else {
+        loader.classList.add('hidden');
+    }
+}
+
+/**
+ * Opens the shared modal dialog with a title and content element.
+ */
+function openModal(title, content) {
+    const modal = document.getElementById('modal');
+    if (!modal) return;
+
+    document.getElementById('modal-title').textContent = title;
+    const body = document.getElementById('modal-body');
+    body.innerHTML = '';
+    body.appendChild(content);
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Closes the shared modal dialog.
+ */
+function closeModal() {
+    const modal = document.getElementById('modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+/**
+ * Wires the modal close button, backdrop click and Escape key.
+ */
+function setupModal() {
+    const modal = document.getElementById('modal');
+    if (!modal) return;
+
+    document.getElementById('modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeModal();
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeModal();
+    });
+}
+
+// Metrics plotted in the pool history chart
+const CHART_METRICS = [
+    { key: 'liquidityUsd', label: 'Liquidity', format: formatUsdCompact },
+    { key: 'volumeUsd24h', label: 'Volume 24h', format: formatUsdCompact },
+    { key: 'turnover', label: 'Turnover (24h)', format: value => value.toFixed(3) },
+    { key: 'apr', label: 'Est. APR (24h)', format: formatApr }
+];
+
+/**
+ * Draws an SVG line chart. `series` is a list of { points: [{ x, y }], className };
+ * options.formatX / options.formatY format the axis labels. A zero line is
+ * drawn when the values cross zero.
+ */
+function createLineChart(series, options) {
+    const width = 560;
+    const height = 120;
+    const pad = { top: 10, right: 10, bottom: 20, left: 64 };
+    const svgNs = 'http://www.w3.org/2000/svg';
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'line-chart');
+
+    const addElement = (tag, attributes) => {
+        const element = document.createElementNS(svgNs, tag);
+        for (const name in attributes) element.setAttribute(name, attributes[name]);
+        svg.appendChild(element);
+        return element;
+    };
+    const addText = (x, y, text, anchor) => {
+        addElement('text', { x: x, y: y, 'text-anchor': anchor, class: 'chart-label' }).textContent = text;
+    };
+
+    const allPoints = series.flatMap(line => line.points);
+    const minX = Math.min(...allPoints.map(p => p.x));
+    const maxX = Math.max(...allPoints.map(p => p.x));
+    const minY = Math.min(...allPoints.map(p => p.y));
+    const maxY = Math.max(...allPoints.map(p => p.y));
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const scaleX = x => pad.left + (maxX === minX ? plotWidth / 2 : ((x - minX) / (maxX - minX)) * plotWidth);
+    const scaleY = y => pad.top + (maxY === minY ? plotHeight / 2 : (1 - (y - minY) / (maxY - minY)) * plotHeight);
+
+    addElement('path', { d: `M${pad.left},${pad.top} V${height - pad.bottom} H${width - pad.right}`, class: 'chart-axis' });
+    if (minY < 0 && maxY > 0) {
+        addElement('path', { d: `M${pad.left},${scaleY(0).toFixed(1)} H${width - pad.right}`, class: 'chart-zero' });
+    }
+
+    for (const line of series) {
+        const className = `chart-line ${line.className || ''}`.trim();
+        if (line.points.length === 1) {
+            addElement('circle', { cx: scaleX(line.points[0].x), cy: scaleY(line.points[0].y), r: 3, class: className });
+        } else {
+            const points = line.points.map(p => `${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`).join(' ');
+            addElement('polyline', { points: points, class: className });
+        }
+    }
+
+    addText(pad.left - 6, pad.top + 8, options.formatY(maxY), 'end');
+    addText(pad.left - 6, height - pad.bottom, options.formatY(minY), 'end');
+    addText(pad.left, height - 4, options.formatX(minX), 'start');
+    if (maxX !== minX) addText(width - pad.right, height - 4, options.formatX(maxX), 'end');
+
+    return svg;
+}
+
+/**
+ * Loads a pool's snapshots and shows them as charts in the modal.
+ */
+async function openPoolChart(pool) {
+    const content = document.createElement('div');
+    content.className = 'pool-chart';
+    content.textContent = 'Loading history...';
+    openModal(`${pool.name} · ${pool.chain}`, content);
+
+    let snapshots;
+    try {
+        snapshots = await getPoolSnapshots(pool.id);
+    } catch (error) {
+        content.textContent = `Snapshot history unavailable: ${error.message}`;
+        return;
+    }
+
+    if (snapshots.length === 0) {
+        content.textContent = 'No snapshots stored for this pool yet. Leave the dashboard open to build up history.';
+        return;
+    }
+
+    content.textContent = '';
+    const summary = document.createElement('p');
+    summary.className = 'chart-summary';
+    summary.textContent = `${snapshots.length} snapshots since ${new Date(snapshots[0].takenAt).toLocaleString()}`;
+    content.appendChild(summary);
+
+    for (const metric of CHART_METRICS) {
+        const points = snapshots
+            .filter(snapshot => typeof snapshot[metric.key] === 'number')
+            .map(snapshot => ({ x: snapshot.takenAt, y: snapshot[metric.key] }));
+        if (points.length === 0) continue;
+
+        const heading = document.createElement('h3');
+        heading.className = 'chart-title';
+        heading.textContent = `${metric.label}: ${metric.format(points[points.length - 1].y)}`;
+        content.appendChild(heading);
+        content.appendChild(createLineChart([{ points: points }], {
+            formatX: time => new Date(time).toLocaleString(),
+            formatY: metric.format
+        }));
+    }
+}
+
+/**
+ * Creates a labelled input for the simulator form.
+ */
+function createSimulatorInput(labelText, type, value) {
+    const label = document.createElement('label');
+    label.className = 'control-select';
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    if (type === 'number') input.min = '0';
+    label.appendChild(input);
+    return { label, input };
+}
+
+/**
+ * Opens the LP simulator for a pool: deposit, holding period and price-move
+ * scenarios in, projected fees, IL and net result out.
+ */
+function openLpSimulator(pool) {
+    const defaults = CONFIG.LP_SIMULATOR;
+    const windowKey = viewFilters.volumeWindow;
+    const content = document.createElement('div');
+    content.className = 'lp-simulator';
+
+    const form = document.createElement('div');
+    form.className = 'simulator-form';
+    const deposit = createSimulatorInput('Deposit (USD)', 'number', defaults.DEFAULT_DEPOSIT_USD);
+    const days = createSimulatorInput('Holding period (days)', 'number', defaults.DEFAULT_DAYS);
+    const scenarios = createSimulatorInput('Price moves (%)', 'text', defaults.DEFAULT_SCENARIOS.join(', '));
+    form.append(deposit.label, days.label, scenarios.label);
+    content.appendChild(form);
+
+    const notes = [`Fees use ${formatFee(getEffectiveFee(pool))} on ${CONFIG.VOLUME_WINDOWS[windowKey].label} volume scaled to a day.`];
+    if (pool.feeSource === 'defaulted') notes.push('The pool fee is unknown, so the default fee is assumed.');
+    if (pool.ammType === 'concentrated') notes.push('IL uses the full-range curve; a concentrated position loses more within its range.');
+    if (pool.ammType === 'stableswap' || pool.ammType === 'weighted') notes.push('IL uses the constant-product curve, which does not match this pool design.');
+    const notesElement = document.createElement('p');
+    notesElement.className = 'simulator-notes';
+    notesElement.textContent = notes.join(' ');
+    content.appendChild(notesElement);
+
+    const results = document.createElement('div');
+    content.appendChild(results);
+
+    const update = () => {
+        const depositUsd = parseFloat(deposit.input.value) || 0;
+        const holdingDays = parseFloat(days.input.value) || 0;
+        const moves = parsePriceScenarios(scenarios.input.value);
+        results.innerHTML = '';
+        if (depositUsd <= 0 || moves.length === 0) {
+            results.textContent = 'Enter a deposit and at least one price move.';
+            return;
+        }
+
+        const rows = moves.map(move => simulateLpPosition(pool, depositUsd, holdingDays, move, windowKey));
+        const summary = document.createElement('p');
+        summary.className = 'chart-summary';
+        summary.textContent = `Pool share ${(rows[0].share * 100).toFixed(3)}% · fees ${formatUsdCompact(rows[0].feesUsd)} over ${holdingDays} days`;
+        results.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'pool-table simulator-table';
+        const headRow = table.createTHead().insertRow();
+        for (const heading of ['Price move', 'HODL value', 'LP value', 'IL', 'Fees', 'Net P&L', 'vs HODL']) {
+            const th = document.createElement('th');
+            th.textContent = heading;
+            headRow.appendChild(th);
+        }
+        const body = table.createTBody();
+        for (const row of rows) {
+            const tr = body.insertRow();
+            const values = [
+                `${row.priceMovePct > 0 ? '+' : ''}${row.priceMovePct}%`,
+                formatUsdCompact(row.hodlValue),
+                formatUsdCompact(row.lpValue),
+                `${row.ilPct.toFixed(2)}% (${formatSignedUsd(row.ilUsd)})`,
+                formatSignedUsd(row.feesUsd),
+                formatSignedUsd(row.netPnl),
+                formatSignedUsd(row.vsHodl)
+            ];
+            values.forEach((value, index) => {
+                const td = tr.insertCell();
+                td.textContent = value;
+                if (index >= 5) td.className = value.startsWith('-') ? 'trend-down' : 'trend-up';
+            });
+        }
+        results.appendChild(table);
+
+        // Payoff curve sampled across the scenario range
+        const minMove = Math.min(moves[0], -10);
+        const maxMove = Math.max(moves[moves.length - 1], 10);
+        const curve = [];
+        for (let i = 0; i <= 40; i++) {
+            const move = minMove + ((maxMove - minMove) * i) / 40;
+            const result = simulateLpPosition(pool, depositUsd, holdingDays, move, windowKey);
+            curve.push({ lp: { x: move, y: result.netPnl }, hodl: { x: move, y: result.hodlValue - depositUsd } });
+        }
+
+        const heading = document.createElement('h3');
+        heading.className = 'chart-title';
+        heading.textContent = 'Payoff: LP incl. fees (solid) vs HODL (dashed)';
+        results.appendChild(heading);
+        results.appendChild(createLineChart([
+            { points: curve.map(point => point.hodl), className: 'chart-line-secondary' },
+            { points: curve.map(point => point.lp) }
+        ], {
+            formatX: move => `${move > 0 ? '+' : ''}${move.toFixed(0)}%`,
+            formatY: formatSignedUsd
+        }));
+    };
+
+    [deposit.input, days.input, scenarios.input].forEach(input => input.addEventListener('input', update));
+    update();
+    openModal(`Simulate LP · ${pool.name} · ${pool.chain}`, content);
+}
+
+/**
+ * Sets up section collapse functionality.
+ */
+function setupSectionCollapse() {
+    const headers = document.querySelectorAll('.section-header');
+    headers.forEach(header => {
+        header.addEventListener('click', () => {
+            const section = header.closest('.pair-section');
+            section.classList.toggle('collapsed');
+            writeUrlState();
+        });
+    });
+}
+
+/**
+ * Sets up table sorting for all sections.
+ */
+function setupTableSorting() {
+    const headers = document.querySelectorAll('.pool-table th[data-sort]');
+    headers.forEach(header => {
+        header.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const sortKey = header.dataset.sort;
+            const sectionId = header.dataset.section;
+            sortSectionByKey(sectionId, sortKey, e.shiftKey);
+            writeUrlState();
+        });
+    });
+}
+
+let currentCategorizedPools = {};
+
+const viewFilters = {
+    showUnverified: CONFIG.TOKEN_IDENTITY.SHOW_UNVERIFIED,
+    subClass: '',
+    excludedTags: new Set(),
+    protocol: '',
+    ammType: '',
+    tradeSizeUsd: CONFIG.PRICE_IMPACT.DEFAULT_TRADE_SIZE_USD,
+    hideFlagged: CONFIG.ANOMALY_DETECTION.HIDE_FLAGGED,
+    volumeWindow: CONFIG.DEFAULT_VOLUME_WINDOW,
+    searchText: '',
+    chains: new Set(),
+    feeTiers: new Set(),
+    ranges: {}
+};
+
+// Numeric fields the filter panel can bound; null means no bound
+const RANGE_FILTERS = [
+    { key: 'liquidityUsd', label: 'Liquidity ($)', param: 'liq' },
+    { key: 'windowVolumeUsd', label: 'Volume ($)', param: 'vol' },
+    { key: 'score', label: 'Turnover', param: 'turnover' },
+    { key: 'apr', label: 'APR (%)', param: 'apr' }
+];
+
+for (const filter of RANGE_FILTERS) {
+    viewFilters.ranges[filter.key] = { min: null, max: null };
+}
+
+// Option lists last rendered in the chain and fee tier filters
+const filterOptionKeys = { chains: '', feeTiers: '' };
+
+/**
+ * Rebuilds a row of checkbox chips; an empty selection means "any".
+ */
+function renderFilterChips(container, values, selected, formatLabel) {
+    container.innerHTML = '';
+    for (const value of values) {
+        const label = document.createElement('label');
+        label.className = 'control-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.value = value;
+        checkbox.checked = selected.has(value);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selected.add(value);
+            else selected.delete(value);
+            renderAllSections(currentCategorizedPools);
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(formatLabel(value)));
+        container.appendChild(label);
+    }
+}
+
+/**
+ * Offers the chains and fee tiers present in the loaded pools, plus any
+ * that are selected but no longer loaded so they can still be cleared.
+ */
+function updateFilterOptions(categorizedPools) {
+    const chains = new Set(viewFilters.chains);
+    const feeTiers = new Set(viewFilters.feeTiers);
+    for (const sectionId in categorizedPools) {
+        for (const pool of categorizedPools[sectionId]) {
+            chains.add(pool.chain);
+            feeTiers.add(getFeeTierKey(pool));
+        }
+    }
+
+    const sortedChains = [...chains].sort();
+    const sortedFeeTiers = [...feeTiers].sort((a, b) => {
+        if (a === 'unknown') return 1;
+        if (b === 'unknown') return -1;
+        return parseFloat(a) - parseFloat(b);
+    });
+
+    const chainContainer = document.getElementById('chain-filters');
+    if (chainContainer && sortedChains.join() !== filterOptionKeys.chains) {
+        filterOptionKeys.chains = sortedChains.join();
+        renderFilterChips(chainContainer, sortedChains, viewFilters.chains, chain => chain);
+    }
+
+    const feeTierContainer = document.getElementById('fee-tier-filters');
+    if (feeTierContainer && sortedFeeTiers.join() !== filterOptionKeys.feeTiers) {
+        filterOptionKeys.feeTiers = sortedFeeTiers.join();
+        renderFilterChips(feeTierContainer, sortedFeeTiers, viewFilters.feeTiers,
+            key => key === 'unknown' ? 'Unknown' : formatFee(parseFloat(key)));
+    }
+}
 
-    for (const pool of rawPools) {
-        let normalized = null;
+/**
+ * Sets the filter panel controls from viewFilters.
+ */
+function syncFilterControls() {
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+    const setChecked = (id, checked) => {
+        const element = document.getElementById(id);
+        if (element) element.checked = checked;
+    };
 
-        if (pool._source === 'GeckoTerminal') {
-            normalized = normalizeGeckoTerminalPool(pool);
-        } else if (pool._source === 'DexScreener') {
-            normalized = normalizeDexScreenerPool(pool);
-        }
+    setValue('search-filter', viewFilters.searchText);
+    setValue('dex-filter', viewFilters.protocol);
+    setValue('amm-filter', viewFilters.ammType);
+    setValue('subclass-filter', viewFilters.subClass);
+    setChecked('show-unverified', viewFilters.showUnverified);
+    setChecked('hide-flagged', viewFilters.hideFlagged);
 
-        if (normalized && !seenIds.has(normalized.id)) {
-            seenIds.add(normalized.id);
-            normalizedPools.push(normalized);
-        }
+    for (const filter of RANGE_FILTERS) {
+        const { min, max } = viewFilters.ranges[filter.key];
+        setValue(`range-${filter.key}-min`, min ?? '');
+        setValue(`range-${filter.key}-max`, max ?? '');
     }
 
-    logMessage(`Normalized ${normalizedPools.length} unique pools.`, 'info');
-    return normalizedPools;
+    document.querySelectorAll('#chain-filters input').forEach(checkbox => {
+        checkbox.checked = viewFilters.chains.has(checkbox.dataset.value);
+    });
+    document.querySelectorAll('#fee-tier-filters input').forEach(checkbox => {
+        checkbox.checked = viewFilters.feeTiers.has(checkbox.dataset.value);
+    });
+    document.querySelectorAll('#tag-filters input').forEach(checkbox => {
+        checkbox.checked = viewFilters.excludedTags.has(checkbox.dataset.tag);
+    });
 }
 
-// =================================================================
-// VALIDATION & SCORING
-// =================================================================
-
 /**
- * Validates a pool object against project constraints.
+ * Resets the filter panel to show every loaded pool.
  */
-function validatePool(pool) {
-    if (!pool.id || !pool.name || !pool.baseAsset || !pool.pairType) return false;
-    if (typeof pool.liquidityUsd !== 'number' || typeof pool.volumeUsd24h !== 'number') return false;
-    if (pool.liquidityUsd < CONFIG.MIN_LIQUIDITY) return false;
-    if (pool.volumeUsd24h < CONFIG.MIN_VOLUME_24H) return false;
-    if (pool.liquidityUsd <= 0) return false;
-    return true;
+function clearViewFilters() {
+    viewFilters.searchText = '';
+    viewFilters.protocol = '';
+    viewFilters.ammType = '';
+    viewFilters.subClass = '';
+    viewFilters.showUnverified = CONFIG.TOKEN_IDENTITY.SHOW_UNVERIFIED;
+    viewFilters.hideFlagged = CONFIG.ANOMALY_DETECTION.HIDE_FLAGGED;
+    viewFilters.chains.clear();
+    viewFilters.feeTiers.clear();
+    viewFilters.excludedTags.clear();
+    for (const filter of RANGE_FILTERS) {
+        viewFilters.ranges[filter.key] = { min: null, max: null };
+    }
+
+    syncFilterControls();
+    rescoreAllSections();
 }
 
 /**
- * Filters pools to only include valid ones.
+ * Builds the min/max inputs for each RANGE_FILTERS field.
  */
-function filterPools(pools) {
-    const validPools = pools.filter(pool => validatePool(pool));
-    logMessage(`Filtered to ${validPools.length} valid pools.`, 'info');
-    return validPools;
+function setupRangeFilters() {
+    const container = document.getElementById('range-filters');
+    if (!container) return;
+
+    for (const filter of RANGE_FILTERS) {
+        const group = document.createElement('label');
+        group.className = 'control-select range-filter';
+        group.appendChild(document.createTextNode(filter.label));
+
+        for (const bound of ['min', 'max']) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.id = `range-${filter.key}-${bound}`;
+            input.placeholder = bound;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                viewFilters.ranges[filter.key][bound] = Number.isFinite(value) ? value : null;
+                renderAllSections(currentCategorizedPools);
+            });
+            group.appendChild(input);
+        }
+
+        container.appendChild(group);
+    }
 }
 
 /**
- * Calculates the Liquidity Turnover Ratio for a pool.
+ * Re-scores and re-ranks the loaded pools for the selected volume window.
  */
-function calculateTurnoverScore(pool) {
-    if (pool.liquidityUsd <= 0) return 0;
-    return pool.volumeUsd24h / pool.liquidityUsd;
+function rescoreAllSections() {
+    const rescored = {};
+    for (const sectionId in currentCategorizedPools) {
+        rescored[sectionId] = scoreAndRankPools(currentCategorizedPools[sectionId], viewFilters.volumeWindow);
+    }
+    currentCategorizedPools = applyTrends(rescored, viewFilters.volumeWindow);
+    updateColumnLabels();
+    renderAllSections(currentCategorizedPools);
 }
 
 /**
- * Scores and ranks pools by turnover ratio, also calculates APR.
+ * Wires the view filter controls; filters re-render without re-fetching.
  */
-function scoreAndRankPools(pools) {
-    const scoredPools = pools.map(pool => {
-        const score = calculateTurnoverScore(pool);
-        // Use fee if available, otherwise estimate based on pool type
-        const effectiveFee = pool.feeTier || CONFIG.DEFAULT_FEE_PERCENT || 0.3;
-        const apr = calculateApr(pool.volumeUsd24h, pool.liquidityUsd, effectiveFee);
-        
-        return {
-            ...pool,
-            score: score,
-            apr: apr
-        };
-    });
+function setupViewFilters() {
+    const searchInput = document.getElementById('search-filter');
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            viewFilters.searchText = searchInput.value.trim();
+            renderAllSections(currentCategorizedPools);
+        });
+    }
 
-    scoredPools.sort((a, b) => {
-        if (b.score !== a.score) return b.score - a.score;
-        return b.liquidityUsd - a.liquidityUsd;
-    });
+    setupRangeFilters();
 
-    return scoredPools;
-}
+    const clearButton = document.getElementById('clear-filters');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearViewFilters);
+    }
 
-/**
- * Categorizes pools by pair type.
- */
-function categorizePools(pools) {
-    const categories = {
-        'btc-stable': [],
-        'eth-stable': [],
-        'btc-eth': [],
-        'wrapped': []
-    };
+    const unverifiedToggle = document.getElementById('show-unverified');
+    if (unverifiedToggle) {
+        unverifiedToggle.checked = viewFilters.showUnverified;
+        unverifiedToggle.addEventListener('change', () => {
+            viewFilters.showUnverified = unverifiedToggle.checked;
+            renderAllSections(currentCategorizedPools);
+        });
+    }
 
-    for (const pool of pools) {
-        if (categories[pool.pairType]) {
-            categories[pool.pairType].push(pool);
+    const hideFlaggedToggle = document.getElementById('hide-flagged');
+    if (hideFlaggedToggle) {
+        hideFlaggedToggle.checked = viewFilters.hideFlagged;
+        hideFlaggedToggle.addEventListener('change', () => {
+            viewFilters.hideFlagged = hideFlaggedToggle.checked;
+            rescoreAllSections();
+        });
+    }
+
+    const subClassSelect = document.getElementById('subclass-filter');
+    if (subClassSelect) {
+        for (const assetClass in CONFIG.ASSET_TAXONOMY) {
+            for (const subClass in CONFIG.ASSET_TAXONOMY[assetClass]) {
+                const option = document.createElement('option');
+                option.value = `${assetClass}.${subClass}`;
+                option.textContent = `${assetClass} · ${CONFIG.ASSET_TAXONOMY[assetClass][subClass].label || subClass}`;
+                subClassSelect.appendChild(option);
+            }
         }
+        subClassSelect.addEventListener('change', () => {
+            viewFilters.subClass = subClassSelect.value;
+            renderAllSections(currentCategorizedPools);
+        });
     }
 
-    for (const key in categories) {
-        categories[key] = scoreAndRankPools(categories[key]);
+    const protocolSelect = document.getElementById('dex-filter');
+    if (protocolSelect) {
+        const protocolIds = Object.keys(CONFIG.DEX_PROTOCOLS)
+            .sort((a, b) => CONFIG.DEX_PROTOCOLS[a].label.localeCompare(CONFIG.DEX_PROTOCOLS[b].label));
+        for (const protocolId of protocolIds) {
+            const option = document.createElement('option');
+            option.value = protocolId;
+            option.textContent = CONFIG.DEX_PROTOCOLS[protocolId].label;
+            protocolSelect.appendChild(option);
+        }
+        protocolSelect.addEventListener('change', () => {
+            viewFilters.protocol = protocolSelect.value;
+            renderAllSections(currentCategorizedPools);
+        });
     }
 
-    return categories;
-}
+    const ammSelect = document.getElementById('amm-filter');
+    if (ammSelect) {
+        for (const ammType in AMM_TYPE_LABELS) {
+            const option = document.createElement('option');
+            option.value = ammType;
+            option.textContent = AMM_TYPE_LABELS[ammType];
+            ammSelect.appendChild(option);
+        }
+        ammSelect.addEventListener('change', () => {
+            viewFilters.ammType = ammSelect.value;
+            renderAllSections(currentCategorizedPools);
+        });
+    }
 
-// =================================================================
-// UI RENDERING
-// =================================================================
+    const tradeSizeInput = document.getElementById('trade-size');
+    if (tradeSizeInput) {
+        tradeSizeInput.value = viewFilters.tradeSizeUsd;
+        tradeSizeInput.addEventListener('change', () => {
+            viewFilters.tradeSizeUsd = Math.max(0, parseFloat(tradeSizeInput.value) || 0);
+            applyPriceImpact(currentCategorizedPools, viewFilters.tradeSizeUsd);
+            updateColumnLabels();
+            renderAllSections(currentCategorizedPools);
+        });
+    }
+
+    const windowSelect = document.getElementById('volume-window');
+    if (windowSelect) {
+        for (const windowKey in CONFIG.VOLUME_WINDOWS) {
+            const option = document.createElement('option');
+            option.value = windowKey;
+            option.textContent = CONFIG.VOLUME_WINDOWS[windowKey].label;
+            windowSelect.appendChild(option);
+        }
+        windowSelect.value = viewFilters.volumeWindow;
+        windowSelect.addEventListener('change', () => {
+            viewFilters.volumeWindow = windowSelect.value;
+            rescoreAllSections();
+        });
+    }
+
+    const tagFilters = document.getElementById('tag-filters');
+    if (tagFilters) {
+        const allTags = new Set();
+        for (const entry of tokenTaxonomyIndex.values()) {
+            entry.tags.forEach(tag => allTags.add(tag));
+        }
+
+        for (const tag of allTags) {
+            const label = document.createElement('label');
+            label.className = 'control-toggle';
+            label.title = `Hide pools containing a ${tag} token`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.tag = tag;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) viewFilters.excludedTags.add(tag);
+                else viewFilters.excludedTags.delete(tag);
+                renderAllSections(currentCategorizedPools);
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(`Hide ${tag}`));
+            tagFilters.appendChild(label);
+        }
+    }
+}
 
 /**
- * Formats USD value in compact form.
+ * Builds the score weight sliders; changes re-rank the loaded pools.
  */
-function formatUsdCompact(value) {
-    if (value >= 1000000000) {
-        return '$' + (value / 1000000000).toFixed(2) + 'B';
-    } else if (value >= 1000000) {
-        return '$' + (value / 1000000).toFixed(2) + 'M';
-    } else if (value >= 1000) {
-        return '$' + (value / 1000).toFixed(1) + 'K';
+function setupScoreWeights() {
+    const container = document.getElementById('weight-sliders');
+    if (!container) return;
+
+    const sliders = {};
+    for (const key in SCORE_COMPONENTS) {
+        const label = document.createElement('label');
+        label.className = 'weight-slider';
+        label.textContent = SCORE_COMPONENTS[key];
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.step = '5';
+        slider.value = Math.round((scoreWeights[key] || 0) * 100);
+
+        const value = document.createElement('span');
+        value.className = 'weight-value';
+        value.textContent = slider.value;
+
+        slider.addEventListener('input', () => {
+            scoreWeights[key] = parseInt(slider.value, 10) / 100;
+            value.textContent = slider.value;
+            rescoreAllSections();
+        });
+
+        sliders[key] = { slider, value };
+        label.append(slider, value);
+        container.appendChild(label);
     }
-    return '$' + value.toFixed(0);
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'weight-reset';
+    resetButton.textContent = 'Reset';
+    resetButton.addEventListener('click', () => {
+        Object.assign(scoreWeights, CONFIG.SCORING.WEIGHTS);
+        for (const key in sliders) {
+            sliders[key].slider.value = Math.round((scoreWeights[key] || 0) * 100);
+            sliders[key].value.textContent = sliders[key].slider.value;
+        }
+        rescoreAllSections();
+    });
+    container.appendChild(resetButton);
 }
 
 /**
- * Formats fee as percentage string.
+ * Lists the alert rules with their last firing time and a delete button.
  */
-function formatFee(feePercent) {
-    if (feePercent === null || feePercent === undefined) {
-        return '—';
+function renderAlertRules() {
+    const list = document.getElementById('alert-rules');
+    if (!list) return;
+
+    list.innerHTML = '';
+    for (const rule of alertRules) {
+        const item = document.createElement('li');
+        item.className = 'alert-rule';
+
+        const text = document.createElement('span');
+        text.textContent = describeAlertRule(rule);
+        const status = document.createElement('span');
+        status.className = 'alert-rule-status';
+        status.textContent = `cooldown ${getAlertCooldownMs(rule) / 60000}m` +
+            (rule.lastFiredAt ? `, last fired ${new Date(rule.lastFiredAt).toLocaleString()}` : '');
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '✕';
+        removeButton.title = 'Delete rule';
+        removeButton.addEventListener('click', () => {
+            alertRules.splice(alertRules.indexOf(rule), 1);
+            saveAlertRules();
+            renderAlertRules();
+        });
+
+        item.append(text, status, removeButton);
+        list.appendChild(item);
     }
-    return feePercent.toFixed(2) + '%';
+
+    updateAlertSummary();
 }
 
 /**
- * Formats APR as percentage string.
+ * Lists fired alerts, newest first.
  */
-function formatApr(apr) {
-    if (apr === null || apr === undefined || apr === 0) {
-        return '—';
-    }
-    if (apr >= 1000) {
-        return (apr / 1000).toFixed(1) + 'K%';
+function renderAlertLog() {
+    const list = document.getElementById('alert-log');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (alertLog.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'alert-log-empty';
+        empty.textContent = 'No alerts yet.';
+        list.appendChild(empty);
     }
-    if (apr >= 100) {
-        return apr.toFixed(0) + '%';
+    for (const entry of alertLog) {
+        const item = document.createElement('li');
+        const time = document.createElement('span');
+        time.className = 'alert-time';
+        time.textContent = new Date(entry.time).toLocaleString();
+        const title = document.createElement('strong');
+        title.textContent = entry.title;
+        item.append(time, title, document.createTextNode(` - ${entry.body}`));
+        list.appendChild(item);
     }
-    return apr.toFixed(1) + '%';
+
+    updateAlertSummary();
 }
 
 /**
- * Renders pools into a specific table body.
+ * Shows the rule and fired alert counts next to the panel title.
  */
-function renderPoolsToTable(pools, tableBodyId, noDataId, countId) {
-    const tableBody = document.getElementById(tableBodyId);
-    const noDataMessage = document.getElementById(noDataId);
-    const countElement = document.getElementById(countId);
-
-    if (!tableBody) {
-        logMessage(`Table body not found: ${tableBodyId}`, 'error');
-        return;
-    }
+function updateAlertSummary() {
+    const summary = document.getElementById('alert-summary');
+    if (!summary) return;
+    const parts = [`${alertRules.length} rule${alertRules.length === 1 ? '' : 's'}`];
+    if (alertLog.length > 0) parts.push(`${alertLog.length} fired`);
+    summary.textContent = `(${parts.join(', ')})`;
+}
 
-    tableBody.innerHTML = '';
+/**
+ * Fills the alert rule form and adds rules on submit. Adding a rule asks
+ * for notification permission if it has not been decided yet.
+ */
+function setupAlertRules() {
+    const form = document.getElementById('alert-form');
+    if (!form) return;
 
-    if (countElement) {
-        countElement.textContent = `(${pools.length})`;
-    }
+    const addOptions = (select, entries) => {
+        for (const [value, label] of entries) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+    };
 
-    if (!pools || pools.length === 0) {
-        if (noDataMessage) noDataMessage.classList.remove('hidden');
-        return;
-    }
+    const scopeSelect = document.getElementById('alert-scope');
+    const chainSelect = document.getElementById('alert-chain');
+    const metricSelect = document.getElementById('alert-metric');
+    const conditionSelect = document.getElementById('alert-condition');
+    const valueInput = document.getElementById('alert-value');
+    const cooldownInput = document.getElementById('alert-cooldown');
 
-    if (noDataMessage) noDataMessage.classList.add('hidden');
+    addOptions(scopeSelect, getPairCategories().map(category => [category.id, category.label]));
+    addOptions(chainSelect, [...new Set(Object.values(CONFIG.CHAIN_ID_MAP))].sort().map(chain => [chain, chain]));
+    addOptions(metricSelect, Object.keys(ALERT_METRICS).map(key => [key, ALERT_METRICS[key].label]));
+    addOptions(conditionSelect, Object.keys(ALERT_CONDITIONS).map(key => [key, ALERT_CONDITIONS[key].label]));
+    cooldownInput.min = CONFIG.ALERTS.MIN_COOLDOWN_MINUTES;
+    cooldownInput.value = CONFIG.ALERTS.DEFAULT_COOLDOWN_MINUTES;
 
-    pools.forEach(pool => {
-        const row = document.createElement('tr');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const value = parseFloat(valueInput.value);
+        if (!Number.isFinite(value)) return;
 
-        // Column 1: Chain
-        const chainCell = document.createElement('td');
-        chainCell.textContent = pool.chain || 'unknown';
-        row.appendChild(chainCell);
-
-        // Column 2: Pool Name & Link
-        const nameCell = document.createElement('td');
-        if (pool.poolUrl) {
-            const link = document.createElement('a');
-            link.href = pool.poolUrl;
-            link.textContent = pool.name;
-            link.target = '_blank';
-            link.rel = 'noopener noreferrer';
-            link.className = 'pool-link';
-            nameCell.appendChild(link);
-        } else {
-            nameCell.textContent = pool.name;
-        }
-        row.appendChild(nameCell);
+        const cooldown = parseFloat(cooldownInput.value);
+        alertRules.push({
+            id: `rule-${Date.now()}`,
+            scope: scopeSelect.value,
+            chain: chainSelect.value,
+            metric: metricSelect.value,
+            condition: conditionSelect.value,
+            value: value,
+            cooldownMinutes: Number.isFinite(cooldown)
+                ? Math.max(CONFIG.ALERTS.MIN_COOLDOWN_MINUTES, cooldown)
+                : CONFIG.ALERTS.DEFAULT_COOLDOWN_MINUTES,
+            lastFiredAt: null
+        });
+        saveAlertRules();
+        renderAlertRules();
+        valueInput.value = '';
 
-        // Column 3: Fee
-        const feeCell = document.createElement('td');
-        const feeBadge = document.createElement('span');
-        feeBadge.className = 'fee-badge';
-        if (pool.feeTier !== null && pool.feeTier !== undefined) {
-            feeBadge.classList.add(getFeeBadgeClass(pool.feeTier));
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(error => {
+                logMessage(`Notification permission request failed: ${error.message}`, 'warn');
+            });
         }
-        feeBadge.textContent = formatFee(pool.feeTier);
-        feeCell.appendChild(feeBadge);
-        row.appendChild(feeCell);
-
-        // Column 4: Liquidity with color indicator
-        const liquidityCell = document.createElement('td');
-        liquidityCell.className = 'liquidity-cell';
-        
-        const liqIndicator = getLiquidityIndicator(pool.liquidityUsd);
-        
-        const bar = document.createElement('div');
-        bar.className = 'liquidity-bar';
-        bar.style.width = `${liqIndicator.percentage}%`;
-        bar.style.backgroundColor = `hsl(${liqIndicator.hue}, 70%, 50%)`;
-        liquidityCell.appendChild(bar);
-        
-        const valueSpan = document.createElement('span');
-        valueSpan.className = `liquidity-value ${liqIndicator.colorClass}`;
-        valueSpan.textContent = formatUsdCompact(pool.liquidityUsd);
-        liquidityCell.appendChild(valueSpan);
-        
-        row.appendChild(liquidityCell);
-
-        // Column 5: Volume 24h
-        const volumeCell = document.createElement('td');
-        volumeCell.textContent = formatUsdCompact(pool.volumeUsd24h);
-        row.appendChild(volumeCell);
-
-        // Column 6: Turnover Ratio
-        const scoreCell = document.createElement('td');
-        scoreCell.textContent = pool.score.toFixed(3);
-        row.appendChild(scoreCell);
-
-        // Column 7: Estimated APR
-        const aprCell = document.createElement('td');
-        const aprSpan = document.createElement('span');
-        aprSpan.className = `apr-value ${getAprColorClass(pool.apr)}`;
-        aprSpan.textContent = formatApr(pool.apr);
-        aprCell.appendChild(aprSpan);
-        row.appendChild(aprCell);
 
-        tableBody.appendChild(row);
+        // Check the new rule against the data already loaded
+        evaluateAlertRules();
     });
+
+    renderAlertRules();
+    renderAlertLog();
 }
 
-/**
- * Renders all categorized pools to their respective sections.
- */
-function renderAllSections(categorizedPools) {
-    renderPoolsToTable(
-        categorizedPools['btc-stable'],
-        'btc-stable-table-body',
-        'btc-stable-no-data',
-        'btc-stable-count'
-    );
+// Each section's chosen sort as [{ key, order }], primary key first. Kept
+// across refreshes; sections without one keep the composite ranking.
+const sectionSorts = {};
 
-    renderPoolsToTable(
-        categorizedPools['eth-stable'],
-        'eth-stable-table-body',
-        'eth-stable-no-data',
-        'eth-stable-count'
-    );
+// Columns compared as text rather than numbers
+const TEXT_SORT_KEYS = new Set(['name', 'chain', 'protocolLabel']);
 
-    renderPoolsToTable(
-        categorizedPools['btc-eth'],
-        'btc-eth-table-body',
-        'btc-eth-no-data',
-        'btc-eth-count'
-    );
+// Columns that only hold an assumption when the pool fee is defaulted
+const FEE_DERIVED_SORT_KEYS = new Set(['apr', 'netApr']);
 
-    renderPoolsToTable(
-        categorizedPools['wrapped'],
-        'wrapped-table-body',
-        'wrapped-no-data',
-        'wrapped-count'
-    );
+/**
+ * Returns the value a pool sorts by for a column, or null if it has none.
+ * APRs built on the default fee count as missing.
+ */
+function getSortValue(pool, key) {
+    const value = pool[key];
+    if (TEXT_SORT_KEYS.has(key)) return value ? value.toLowerCase() : null;
+    if (FEE_DERIVED_SORT_KEYS.has(key) && pool.feeSource === 'defaulted') return null;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
 }
 
 /**
- * Updates the status bar.
+ * Compares two pools by a list of sort keys. Pools without a value sort
+ * last in either direction; remaining ties fall back to the composite
+ * ranking, liquidity and finally the pool key, so the order is stable.
  */
-function updateStatusBar(message, type = 'info') {
-    const statusBar = document.getElementById('status-bar');
-    const statusMessage = document.getElementById('status-message');
-    statusMessage.textContent = message;
-    statusBar.className = type;
+function comparePools(a, b, sortKeys) {
+    for (const { key, order } of sortKeys) {
+        const aVal = getSortValue(a, key);
+        const bVal = getSortValue(b, key);
+        if (aVal === bVal) continue;
+        if (aVal === null) return 1;
+        if (bVal === null) return -1;
+
+        const diff = typeof aVal === 'string' ? aVal.localeCompare(bVal) : aVal - bVal;
+        if (diff !== 0) return order === 'asc' ? diff : -diff;
+    }
+
+    if (b.compositeScore !== a.compositeScore) return (b.compositeScore ?? 0) - (a.compositeScore ?? 0);
+    if (b.liquidityUsd !== a.liquidityUsd) return (b.liquidityUsd ?? 0) - (a.liquidityUsd ?? 0);
+    return getPoolKey(a.chain, a.address).localeCompare(getPoolKey(b.chain, b.address));
 }
 
 /**
- * Updates the last updated timestamp.
+ * Sorts a section's pools in place by its sort model and updates the
+ * header arrows. With several keys, headers also show their priority.
  */
-function updateLastUpdatedTime() {
-    const el = document.getElementById('last-updated');
-    el.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
+function applySectionSort(sectionId, pools) {
+    const sortKeys = sectionSorts[sectionId] || [];
+    if (sortKeys.length > 0) pools.sort((a, b) => comparePools(a, b, sortKeys));
+
+    document.querySelectorAll(`th[data-section="${sectionId}"]`).forEach(header => {
+        header.classList.remove('sort-asc', 'sort-desc');
+        header.removeAttribute('data-sort-rank');
+
+        const index = sortKeys.findIndex(entry => entry.key === header.dataset.sort);
+        if (index === -1) return;
+        header.classList.add(sortKeys[index].order === 'asc' ? 'sort-asc' : 'sort-desc');
+        if (sortKeys.length > 1) header.dataset.sortRank = index + 1;
+    });
 }
 
 /**
- * Toggles the loading spinner.
+ * Updates a section's sort model for a header click. A plain click sorts
+ * by that column alone; shift-click adds it as the next key. Clicking a
+ * column already in the sort flips its direction.
  */
-function toggleLoader(isVisible) {
-    const loader = document.getElementById('loading-spinner');
-    if (isVisible) {
-        loader.classList.remove('hidden');
+function sortSectionByKey(sectionId, sortKey, addToSort = false) {
+    const sortKeys = sectionSorts[sectionId] || [];
+    const existing = sortKeys.find(entry => entry.key === sortKey);
+    const defaultOrder = TABLE_COLUMNS.find(column => column.key === sortKey)?.defaultOrder || 'desc';
+    const flippedOrder = existing?.order === 'desc' ? 'asc' : 'desc';
+
+    if (addToSort) {
+        if (existing) existing.order = flippedOrder;
+        else sortKeys.push({ key: sortKey, order: defaultOrder });
+        sectionSorts[sectionId] = sortKeys;
     } else {
-        loader.classList.add('hidden');
+        sectionSorts[sectionId] = [{ key: sortKey, order: existing ? flippedOrder : defaultOrder }];
     }
+
+    if (sectionId === WATCHLIST_SECTION.id) {
+        renderWatchlist();
+        return;
+    }
+
+    const pools = currentCategorizedPools[sectionId] || [];
+    applySectionSort(sectionId, pools);
+    renderPoolsToTable(pools, sectionId);
 }
 
+// =================================================================
+// URL STATE
+// =================================================================
+
 /**
- * Sets up section collapse functionality.
+ * Writes the view state (filters, window, trade size, weights, sorts and
+ * collapsed sections) to the query string. Defaults are left out.
  */
-function setupSectionCollapse() {
-    const headers = document.querySelectorAll('.section-header');
-    headers.forEach(header => {
-        header.addEventListener('click', () => {
-            const section = header.closest('.pair-section');
-            section.classList.toggle('collapsed');
-        });
-    });
+function writeUrlState() {
+    const params = new URLSearchParams();
+    const setList = (name, values) => {
+        if (values.length > 0) params.set(name, values.join(','));
+    };
+
+    if (viewFilters.volumeWindow !== CONFIG.DEFAULT_VOLUME_WINDOW) params.set('window', viewFilters.volumeWindow);
+    if (viewFilters.tradeSizeUsd !== CONFIG.PRICE_IMPACT.DEFAULT_TRADE_SIZE_USD) params.set('size', viewFilters.tradeSizeUsd);
+    if (viewFilters.searchText) params.set('q', viewFilters.searchText);
+    setList('chains', [...viewFilters.chains]);
+    setList('fees', [...viewFilters.feeTiers]);
+    if (viewFilters.protocol) params.set('dex', viewFilters.protocol);
+    if (viewFilters.ammType) params.set('amm', viewFilters.ammType);
+    if (viewFilters.subClass) params.set('subclass', viewFilters.subClass);
+    setList('hide', [...viewFilters.excludedTags]);
+    if (viewFilters.showUnverified !== CONFIG.TOKEN_IDENTITY.SHOW_UNVERIFIED) params.set('unverified', viewFilters.showUnverified ? '1' : '0');
+    if (viewFilters.hideFlagged !== CONFIG.ANOMALY_DETECTION.HIDE_FLAGGED) params.set('flagged', viewFilters.hideFlagged ? '0' : '1');
+
+    for (const filter of RANGE_FILTERS) {
+        const { min, max } = viewFilters.ranges[filter.key];
+        if (min !== null) params.set(`${filter.param}_min`, min);
+        if (max !== null) params.set(`${filter.param}_max`, max);
+    }
+
+    if (Object.keys(SCORE_COMPONENTS).some(key => scoreWeights[key] !== CONFIG.SCORING.WEIGHTS[key])) {
+        setList('weights', Object.keys(SCORE_COMPONENTS).map(key => `${key}:${Math.round(scoreWeights[key] * 100)}`));
+    }
+
+    setList('sort', Object.keys(sectionSorts)
+        .filter(sectionId => sectionSorts[sectionId].length > 0)
+        .map(sectionId => [sectionId, ...sectionSorts[sectionId].flatMap(entry => [entry.key, entry.order])].join(':')));
+    setList('collapsed', [...document.querySelectorAll('.pair-section.collapsed .section-header')]
+        .map(header => header.dataset.section));
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(null, '', url);
+    }
 }
 
 /**
- * Sets up table sorting for all sections.
+ * Reads the view state from the query string into viewFilters and
+ * scoreWeights. Unknown or malformed values are ignored. Returns the
+ * sections to collapse.
  */
-function setupTableSorting() {
-    const headers = document.querySelectorAll('.pool-table th[data-sort]');
-    headers.forEach(header => {
-        header.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const sortKey = header.dataset.sort;
-            const sectionId = header.dataset.section;
-            sortSectionByKey(sectionId, sortKey, header);
-        });
-    });
-}
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const getList = name => (params.get(name) || '').split(',').filter(Boolean);
+    const getNumber = name => {
+        const value = parseFloat(params.get(name));
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
 
-let currentCategorizedPools = {};
+    const windowKey = params.get('window');
+    if (windowKey && CONFIG.VOLUME_WINDOWS[windowKey]) viewFilters.volumeWindow = windowKey;
 
-/**
- * Sorts a specific section's pools by key.
- */
-function sortSectionByKey(sectionId, sortKey, clickedHeader) {
-    const pools = currentCategorizedPools[sectionId];
-    if (!pools || pools.length === 0) return;
-
-    const isCurrentlyDesc = clickedHeader.classList.contains('sort-desc');
-    const newOrder = isCurrentlyDesc ? 'asc' : 'desc';
-
-    const sectionHeaders = document.querySelectorAll(`th[data-section="${sectionId}"]`);
-    sectionHeaders.forEach(h => h.classList.remove('sort-asc', 'sort-desc'));
-
-    clickedHeader.classList.add(newOrder === 'asc' ? 'sort-asc' : 'sort-desc');
-
-    pools.sort((a, b) => {
-        let aVal, bVal;
-
-        switch (sortKey) {
-            case 'name':
-            case 'chain':
-                aVal = (a[sortKey] || '').toLowerCase();
-                bVal = (b[sortKey] || '').toLowerCase();
-                return newOrder === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-            case 'feeTier':
-                aVal = a.feeTier || 0;
-                bVal = b.feeTier || 0;
-                return newOrder === 'asc' ? aVal - bVal : bVal - aVal;
-            case 'apr':
-                aVal = a.apr || 0;
-                bVal = b.apr || 0;
-                return newOrder === 'asc' ? aVal - bVal : bVal - aVal;
-            case 'liquidityUsd':
-            case 'volumeUsd24h':
-            case 'score':
-            default:
-                aVal = a[sortKey] || 0;
-                bVal = b[sortKey] || 0;
-                return newOrder === 'asc' ? aVal - bVal : bVal - aVal;
+    const tradeSize = getNumber('size');
+    if (tradeSize !== null) viewFilters.tradeSizeUsd = tradeSize;
+
+    viewFilters.searchText = (params.get('q') || '').trim();
+    getList('chains').forEach(chain => viewFilters.chains.add(chain));
+    getList('fees').forEach(fee => viewFilters.feeTiers.add(fee));
+    getList('hide').forEach(tag => viewFilters.excludedTags.add(tag));
+
+    const protocol = params.get('dex');
+    if (protocol && CONFIG.DEX_PROTOCOLS[protocol]) viewFilters.protocol = protocol;
+    const ammType = params.get('amm');
+    if (ammType && AMM_TYPE_LABELS[ammType]) viewFilters.ammType = ammType;
+    const subClass = params.get('subclass');
+    if (subClass) viewFilters.subClass = subClass;
+    if (params.has('unverified')) viewFilters.showUnverified = params.get('unverified') === '1';
+    if (params.has('flagged')) viewFilters.hideFlagged = params.get('flagged') === '0';
+
+    for (const filter of RANGE_FILTERS) {
+        viewFilters.ranges[filter.key] = {
+            min: getNumber(`${filter.param}_min`),
+            max: getNumber(`${filter.param}_max`)
+        };
+    }
+
+    for (const entry of getList('weights')) {
+        const [key, value] = entry.split(':');
+        const weight = parseFloat(value);
+        if (key in SCORE_COMPONENTS && Number.isFinite(weight) && weight >= 0) scoreWeights[key] = weight / 100;
+    }
+
+    const sectionIds = new Set([WATCHLIST_SECTION.id, ...getPairCategories().map(category => category.id)]);
+    const sortableKeys = new Set(TABLE_COLUMNS.filter(column => column.sortable !== false).map(column => column.key));
+    for (const entry of getList('sort')) {
+        const [sectionId, ...parts] = entry.split(':');
+        if (!sectionIds.has(sectionId)) continue;
+
+        const sortKeys = [];
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            const [key, order] = [parts[i], parts[i + 1]];
+            if (sortableKeys.has(key) && ['asc', 'desc'].includes(order) && !sortKeys.some(entry => entry.key === key)) {
+                sortKeys.push({ key, order });
+            }
         }
-    });
+        if (sortKeys.length > 0) sectionSorts[sectionId] = sortKeys;
+    }
 
-    const tableBodyId = `${sectionId}-table-body`;
-    const noDataId = `${sectionId}-no-data`;
-    const countId = `${sectionId}-count`;
-    renderPoolsToTable(pools, tableBodyId, noDataId, countId);
+    return getList('collapsed').filter(sectionId => sectionIds.has(sectionId));
 }
 
 // =================================================================
@@ -928,12 +4539,16 @@ function sortSectionByKey(sectionId, sortKey, clickedHeader) {
 // =================================================================
 
 let refreshIntervalId = null;
+let dataAgeIntervalId = null;
+let refreshInProgress = false;
 
 /**
- * Main application function.
+ * Main application function. Re-renders from revalidated cache pass
+ * isRefresh: false so trends keep comparing with the previous refresh.
  */
-async function mainApp() {
+async function mainApp({ isRefresh = true } = {}) {
     logMessage('Starting dashboard refresh...', 'info');
+    refreshInProgress = true;
     toggleLoader(true);
     updateStatusBar('Fetching data from sources...', 'info');
 
@@ -949,23 +4564,49 @@ async function mainApp() {
         updateStatusBar('Processing data...', 'info');
 
         const normalizedPools = normalizeAllPools(allRawPools);
-        const validPools = filterPools(normalizedPools);
-        const categorizedPools = categorizePools(validPools);
-        currentCategorizedPools = categorizedPools;
+        const validPools = filterPools(normalizedPools).map(applyPoolHistory);
+        const categorizedPools = categorizePools(validPools, viewFilters.volumeWindow);
+        if (isRefresh && Object.keys(currentCategorizedPools).length > 0) {
+            trendBaselinePools = currentCategorizedPools;
+        }
+        currentCategorizedPools = applyTrends(categorizedPools, viewFilters.volumeWindow);
+        applyPriceImpact(currentCategorizedPools, viewFilters.tradeSizeUsd);
+        updateWatchlistEntries(normalizedPools);
+        recordTurnoverHistory(Object.values(categorizedPools).flat(), isRefresh);
 
-        renderAllSections(categorizedPools);
+        renderAllSections(currentCategorizedPools);
+
+        // Check rules once per refresh, on fresh data: a refresh served from
+        // stale cache is checked by the re-render after revalidation
+        if (isRefresh) alertCheckPending = true;
+        if (alertCheckPending && !isCacheRevalidating()) {
+            alertCheckPending = false;
+            evaluateAlertRules();
+        }
+        if (isRefresh) loadPoolHistories(Object.values(categorizedPools).flat());
+        saveSnapshot(Object.values(categorizedPools).flat()).catch(error => {
+            logMessage(`Could not save snapshot: ${error.message}`, 'warn');
+        });
 
         const totalPools = Object.values(categorizedPools).reduce((sum, arr) => sum + arr.length, 0);
-        updateStatusBar(`Loaded ${totalPools} pools across 4 categories.`, 'success');
+        const failingEndpoints = [...sourceHealth.values()].filter(h => h.lastOk === false).map(h => h.label);
+        const categoryCount = getPairCategories().length;
+        if (failingEndpoints.length > 0) {
+            updateStatusBar(`Loaded ${totalPools} pools across ${categoryCount} categories. Failing: ${failingEndpoints.join(', ')}.`, 'warning');
+        } else {
+            updateStatusBar(`Loaded ${totalPools} pools across ${categoryCount} categories.`, 'success');
+        }
         updateLastUpdatedTime();
 
     } catch (error) {
         console.error('Dashboard application failed:', error);
         logMessage(`An error occurred: ${error.message}`, 'error');
         updateStatusBar(`Error: ${error.message}`, 'error');
-        renderAllSections({ 'btc-stable': [], 'eth-stable': [], 'btc-eth': [], 'wrapped': [] });
+        renderAllSections({});
     } finally {
+        refreshInProgress = false;
         toggleLoader(false);
+        updateDataAgeDisplay();
         if (refreshBtn) refreshBtn.disabled = false;
     }
 }
@@ -1017,10 +4658,28 @@ function initializeDashboard() {
         });
     }
 
+    const collapsedSections = readUrlState();
+
+    buildDashboardSections();
+    collapsedSections.forEach(sectionId => {
+        document.getElementById(`${sectionId}-section`)?.classList.add('collapsed');
+    });
     setupSectionCollapse();
     setupTableSorting();
+    setupViewFilters();
+    setupScoreWeights();
+    setupAlertRules();
+    setupModal();
+    syncFilterControls();
+    updateColumnLabels();
     mainApp();
     startAutoRefresh();
+
+    if (dataAgeIntervalId) clearInterval(dataAgeIntervalId);
+    dataAgeIntervalId = setInterval(() => {
+        updateDataAgeDisplay();
+        renderSourceHealthPanel();
+    }, 30000);
 }
 
 document.addEventListener('DOMContentLoaded', initializeDashboard);